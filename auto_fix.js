@@ -6,17 +6,187 @@
 const fs = require("fs");
 const path = require("path");
 const { JSDOM } = require("jsdom");
+const { createTwoFilesPatch } = require("diff");
+const { t, matchMessages, SUPPORTED_LANGS } = require("./i18n.js");
+const {
+  StyleEditor,
+  parseLength,
+  serializeInlineStyle,
+  DEFAULT_FONT_SIZE,
+} = require("./css_editor.js");
+const postcss = require("postcss");
+
+// 备份目录（位于HTML文件旁）及其中记录修复历史的清单文件
+const BACKUP_DIR = ".autofix-backups";
+const MANIFEST_FILE = "manifest.json";
+
+/**
+ * 获取HTML文件的备份目录
+ */
+function getBackupDir(htmlPath) {
+  return path.join(path.dirname(htmlPath), BACKUP_DIR);
+}
+
+/**
+ * 读取备份清单，格式为 { files: { <文件名>: [条目...] } }
+ */
+function readManifest(backupDir) {
+  const manifestPath = path.join(backupDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return { files: {} };
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+}
+
+/**
+ * 写入备份清单
+ */
+function writeManifest(backupDir, manifest) {
+  fs.mkdirSync(backupDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(backupDir, MANIFEST_FILE),
+    JSON.stringify(manifest, null, 2),
+    "utf-8"
+  );
+}
+
+/**
+ * 将HTML文件的当前内容备份为带时间戳的版本，并在清单中记录本轮修复
+ * @param {string} htmlPath HTML文件路径
+ * @param {Array} fixers 本轮修复的 { fixer, description } 列表
+ * @returns {object} 清单条目 { id, timestamp, backup, fixers }
+ */
+function createBackup(htmlPath, fixers = []) {
+  const backupDir = getBackupDir(htmlPath);
+  const manifest = readManifest(backupDir);
+  const fileName = path.basename(htmlPath);
+  const history = manifest.files[fileName] || (manifest.files[fileName] = []);
+
+  // id 可按字典序比较先后，同一毫秒内的多次备份追加序号
+  const timestamp = new Date().toISOString();
+  const baseId = timestamp.replace(/[:.]/g, "-");
+  let id = baseId;
+  for (let n = 1; history.some((entry) => entry.id === id); n++) {
+    id = `${baseId}-${n}`;
+  }
+
+  const backup = `${path.basename(
+    fileName,
+    path.extname(fileName)
+  )}.${id}${path.extname(fileName)}`;
+  fs.mkdirSync(backupDir, { recursive: true });
+  fs.copyFileSync(htmlPath, path.join(backupDir, backup));
+
+  const entry = { id, timestamp, backup, fixers };
+  history.push(entry);
+  writeManifest(backupDir, manifest);
+  console.log(
+    t("autoFix.backupCreated", { file: path.join(BACKUP_DIR, backup) })
+  );
+  return entry;
+}
+
+/**
+ * 列出HTML文件的备份历史（按时间先后）
+ */
+function listBackups(htmlPath) {
+  const manifest = readManifest(getBackupDir(htmlPath));
+  return manifest.files[path.basename(htmlPath)] || [];
+}
+
+/**
+ * 将HTML文件恢复到某一轮修复之前的状态
+ * @param {string} htmlPath HTML文件路径
+ * @param {string} to "original" 表示最初的状态；否则为备份 id，恢复到第一个 id 不早于它的备份
+ *                    （即该时间点时的状态，可只写前缀，如 2026-10-19T10）
+ * @returns {object|null} 使用的清单条目，没有可恢复的备份时返回 null
+ */
+function restoreHtml(htmlPath, to = "original") {
+  const history = listBackups(htmlPath);
+  const entry =
+    to === "original" ? history[0] : history.find((item) => item.id >= to);
+  if (!entry) {
+    return null;
+  }
+
+  fs.copyFileSync(path.join(getBackupDir(htmlPath), entry.backup), htmlPath);
+  return entry;
+}
+
+/**
+ * 删除HTML文件的全部备份及清单记录
+ */
+function clearBackups(htmlPath) {
+  const backupDir = getBackupDir(htmlPath);
+  const manifest = readManifest(backupDir);
+  const fileName = path.basename(htmlPath);
+  const history = manifest.files[fileName];
+  if (!history) {
+    return;
+  }
+
+  history.forEach((entry) => {
+    fs.rmSync(path.join(backupDir, entry.backup), { force: true });
+  });
+  delete manifest.files[fileName];
+  writeManifest(backupDir, manifest);
+}
+
+// 标记诊断定位到的元素的属性，值为空格分隔的诊断编号
+const TARGET_ATTR = "data-autofix-target";
+
+/**
+ * 在修改文档前按诊断中的选择器定位元素，并在元素上写入诊断编号
+ * 诊断中的 nth-of-type 路径基于原始文档，之后的修复器通过编号查找元素，不再执行选择器
+ * @returns {Array} 诊断副本，定位成功的带有 target（编号），无法定位的 target 为 null
+ */
+function stampDiagnostics(document, diagnostics) {
+  return diagnostics.map((d, index) => {
+    let element = null;
+    if (d.selector) {
+      try {
+        element = document.querySelector(d.selector);
+      } catch (e) {
+        // 选择器无效时忽略，由调用方回退到标签匹配
+      }
+    }
+    if (!element) {
+      return { ...d, target: null };
+    }
+    const ids = (element.getAttribute(TARGET_ATTR) || "")
+      .split(" ")
+      .filter(Boolean);
+    element.setAttribute(TARGET_ATTR, [...ids, index].join(" "));
+    return { ...d, target: String(index) };
+  });
+}
 
 /**
  * 错误修复器基类
  */
 class ErrorFixer {
-  constructor(errorMessage, htmlPath) {
+  /**
+   * @param {string} errorMessage html2pptx 的错误信息
+   * @param {string} htmlPath HTML文件路径
+   * @param {Array} diagnostics html2pptx 错误上的结构化诊断（error.diagnostics），可为空
+   * @param {object} context
+   *   - browser: 共享的 Playwright 浏览器（需要测量布局的修复器使用，未提供时临时启动）
+   *   - options: 修复器选项（注册时的默认值与配置合并后的结果）
+   *   - html: 已用 stampDiagnostics 标记过的文档（此时 diagnostics 为其返回值），
+   *     未提供时读取文件并在其上定位诊断
+   */
+  constructor(errorMessage, htmlPath, diagnostics = [], context = {}) {
     this.errorMessage = errorMessage;
     this.htmlPath = htmlPath;
+    this.browser = context.browser || null;
+    this.options = context.options || {};
     this.htmlContent = fs.readFileSync(htmlPath, "utf-8");
-    this.dom = new JSDOM(this.htmlContent);
+    this.dom = new JSDOM(context.html ?? this.htmlContent);
     this.document = this.dom.window.document;
+    this.diagnostics =
+      context.html === undefined
+        ? stampDiagnostics(this.document, diagnostics || [])
+        : diagnostics || [];
     this.fixed = false;
     this.fixDescription = "";
   }
@@ -29,233 +199,301 @@ class ErrorFixer {
   }
 
   /**
-   * 执行修复
+   * 获取指定代码的诊断
+   * 优先使用结构化诊断；没有时从错误消息（任意语言）中解析，解析结果只有 details
+   */
+  getDiagnostics(code) {
+    const diagnostics = this.diagnostics.filter((d) => d.code === code);
+    if (diagnostics.length > 0 || this.diagnostics.length > 0) {
+      return diagnostics;
+    }
+    return matchMessages(`diag.${code}`, this.errorMessage).map((details) => ({
+      code,
+      selector: null,
+      details,
+    }));
+  }
+
+  /**
+   * 查找诊断定位到的元素（按修改前写入的诊断编号，忽略无法定位的诊断）
+   */
+  resolveSelectors(diagnostics) {
+    const elements = [];
+    diagnostics.forEach((d) => {
+      if (d.target == null) return;
+      const element = this.document.querySelector(
+        `[${TARGET_ATTR}~="${d.target}"]`
+      );
+      if (element && !elements.includes(element)) elements.push(element);
+    });
+    return elements;
+  }
+
+  /**
+   * 执行修复（可以是异步方法）
    */
   fix() {
     throw new Error("Subclass must implement fix() method");
   }
 
+  /**
+   * 在浏览器中打开当前DOM（包含之前修复器的修改）并执行 callback(page)
+   * 当前DOM写入HTML文件旁的临时文件后再打开：相对路径的资源照常加载，页面脚本只执行一次；
+   * 视口与 body 尺寸一致（与转换时相同）
+   */
+  async withPage(callback) {
+    const browser =
+      this.browser || (await require("./html2pptx.js").launchBrowser());
+    // 扩展名为 .htm，不会被按 .html 筛选文件的文件夹转换读到
+    const pagePath = path.join(
+      path.dirname(path.resolve(this.htmlPath)),
+      `.${path.basename(this.htmlPath, ".html")}.autofix-${process.pid}.htm`
+    );
+    fs.writeFileSync(pagePath, this.dom.serialize(), "utf-8");
+    const page = await browser.newPage();
+    try {
+      await page.goto(`file://${pagePath}`);
+      const size = await page.evaluate(() => {
+        const style = window.getComputedStyle(document.body);
+        return {
+          width: parseFloat(style.width),
+          height: parseFloat(style.height),
+        };
+      });
+      await page.setViewportSize({
+        width: Math.round(size.width),
+        height: Math.round(size.height),
+      });
+      return await callback(page);
+    } finally {
+      await page.close();
+      fs.rmSync(pagePath, { force: true });
+      if (!this.browser) {
+        await browser.close();
+      }
+    }
+  }
+
+  /**
+   * 序列化当前DOM（去掉诊断编号标记）
+   */
+  serialize() {
+    const stamped = Array.from(
+      this.document.querySelectorAll(`[${TARGET_ATTR}]`)
+    ).map((element) => [element, element.getAttribute(TARGET_ATTR)]);
+    stamped.forEach(([element]) => element.removeAttribute(TARGET_ATTR));
+    const html = this.dom.serialize();
+    stamped.forEach(([element, ids]) => element.setAttribute(TARGET_ATTR, ids));
+    return html;
+  }
+
+  /**
+   * 生成修复前后内容的 unified diff
+   */
+  diff() {
+    const fileName = path.basename(this.htmlPath);
+    return createTwoFilesPatch(
+      `a/${fileName}`,
+      `b/${fileName}`,
+      this.htmlContent,
+      this.serialize(),
+      "",
+      this.constructor.name
+    );
+  }
+
   /**
    * 保存修复后的HTML
+   * backupOriginal 为 true 时，先将当前内容备份为带时间戳的版本并记录到清单
    */
   save(backupOriginal = true) {
     if (!this.fixed) {
       return false;
     }
 
-    // 备份原文件
     if (backupOriginal) {
-      const backupPath = this.htmlPath + ".backup";
-      if (!fs.existsSync(backupPath)) {
-        fs.copyFileSync(this.htmlPath, backupPath);
-        console.log(`  📋 已备份原文件: ${path.basename(backupPath)}`);
-      }
+      createBackup(this.htmlPath, [
+        { fixer: this.constructor.name, description: this.fixDescription },
+      ]);
     }
 
     // 保存修复后的内容
-    const fixedHtml = this.dom.serialize();
+    const fixedHtml = this.serialize();
     fs.writeFileSync(this.htmlPath, fixedHtml, "utf-8");
-    console.log(`  ✓ 已保存修复: ${this.fixDescription}`);
+    console.log(t("autoFix.saved", { description: this.fixDescription }));
     return true;
   }
 }
 
+// 容器样式属性（需要移到外层div）：背景、边框、圆角和阴影
+const CONTAINER_PROPERTY_REGEX = /^(background|border|box-shadow)(-|$)/;
+
+function isContainerDeclaration(decl) {
+  return CONTAINER_PROPERTY_REGEX.test(decl.prop);
+}
+
+// 在文本元素上清空容器样式的声明
+const CONTAINER_RESETS = [
+  {
+    test: (prop) => prop.startsWith("background"),
+    prop: "background",
+    value: "none",
+  },
+  {
+    test: (prop) => prop.startsWith("border") && !prop.includes("radius"),
+    prop: "border",
+    value: "none",
+  },
+  { test: (prop) => prop === "box-shadow", prop: "box-shadow", value: "none" },
+];
+
 /**
  * 文本元素边框修复器
  * 处理错误: 文本元素 <h1> 存在 边框。仅 <div> 元素支持背景、边框和阴影，文本元素不支持。
  */
 class TextElementBorderFixer extends ErrorFixer {
   canFix() {
-    // 匹配错误信息: 文本元素 <xxx> 存在 (边框|背景|阴影)
+    // 结构化诊断或任意语言的错误信息: 文本元素 <xxx> 存在 (边框|背景|阴影)
     // 支持多个不同标签的错误
-    const matches = [
-      ...this.errorMessage.matchAll(/文本元素 <(\w+)> 存在 (边框|背景|阴影)/g),
-    ];
-    if (matches.length > 0) {
-      // 提取所有需要修复的标签名和样式类型
-      this.tagNames = [...new Set(matches.map((match) => match[1]))]; // 去重
-      this.styleType = matches[0][2]; // 使用第一个错误的样式类型
-      return true;
+    const diagnostics = this.getDiagnostics("TEXT_ELEMENT_STYLE");
+    if (diagnostics.length === 0) {
+      return false;
     }
-    return false;
+
+    // 提取所有需要修复的标签名（去重）和样式类型（使用第一个错误的样式类型）
+    this.tagNames = [...new Set(diagnostics.map((d) => d.details.tagName))];
+    this.styleType = this.normalizeStyleType(diagnostics[0].details.style);
+    // 修改DOM前先定位出错元素，包装后仍可按诊断编号找到
+    this.targetElements = this.resolveSelectors(diagnostics);
+    return true;
+  }
+
+  /**
+   * 将样式类型（background|border|shadow 或任意语言的名称）统一为 background|border|shadow
+   */
+  normalizeStyleType(style) {
+    return (
+      ["background", "border", "shadow"].find(
+        (key) =>
+          key === style ||
+          SUPPORTED_LANGS.some((lang) => t(`style.${key}`, {}, lang) === style)
+      ) || "background"
+    );
   }
 
   fix() {
-    let totalFixCount = 0;
+    const styles = new StyleEditor(this.document);
     const fixedTags = [];
 
-    // 处理所有需要修复的标签类型
-    this.tagNames.forEach((tagName) => {
-      // 查找所有该类型的文本元素
-      const elements = this.document.querySelectorAll(tagName);
-      let fixCount = 0;
-
-      elements.forEach((element) => {
-        const className = element.className;
-        if (!className) return;
-
-        // 检查是否有需要分离的样式
-        const styleElement = this.findStyleForClass(className);
-        if (!styleElement) return;
-
-        const { textStyles, containerStyles } = this.separateStyles(
-          styleElement.textContent,
-          className
-        );
-
-        // 如果没有容器样式（边框、背景、阴影等），则不需要修复
-        if (!containerStyles.trim()) return;
-
-        // 1. 更新CSS样式
-        this.updateStyles(
-          styleElement,
-          className,
-          textStyles,
-          containerStyles,
-          tagName
+    // 查找需要修复的文本元素：有诊断定位时只处理出错元素，否则处理全部同名标签
+    const targets = this.tagNames.flatMap((tagName) => {
+      const located = (this.targetElements || []).filter(
+        (element) => element.tagName.toLowerCase() === tagName
+      );
+      return located.length > 0
+        ? located
+        : Array.from(this.document.querySelectorAll(tagName));
+    });
+    const targetSet = new Set(targets);
+
+    // 每条原规则对应一个外层<div>的类名，多个元素共用
+    const wrapperRules = new Map();
+    const fixCounts = new Map();
+
+    targets.forEach((element) => {
+      const tagName = element.tagName.toLowerCase();
+      const rules = styles
+        .matchingRules(element)
+        .filter(
+          ({ rule }) =>
+            styles.getDeclarations(rule, isContainerDeclaration).length > 0
         );
+      const inlineDeclarations = styles.takeInlineDeclarations(
+        element,
+        isContainerDeclaration
+      );
 
-        // 2. 包装HTML元素
-        this.wrapElement(element, className, tagName);
+      // 如果没有容器样式（边框、背景、阴影等），则不需要修复
+      if (rules.length === 0 && inlineDeclarations.length === 0) return;
+
+      const wrapper = this.document.createElement("div");
+
+      rules.forEach(({ rule }) => {
+        let wrapperRule = wrapperRules.get(rule);
+        if (!wrapperRule) {
+          // 规则还匹配其他元素（如 <div>）时保留原声明，只在文本元素上覆盖
+          const shared = styles
+            .elementsMatching(rule)
+            .some((other) => !targetSet.has(other));
+          const declarations = styles.getDeclarations(
+            rule,
+            isContainerDeclaration
+          );
+          const className = styles.uniqueClassName(
+            `${element.classList[0] || tagName}-box`
+          );
+          styles.insertRuleAfter(rule, `.${className}`, declarations);
+          if (!shared) {
+            styles.takeDeclarations(rule, isContainerDeclaration);
+          }
+          wrapperRule = { className, shared, declarations };
+          wrapperRules.set(rule, wrapperRule);
+        }
 
-        fixCount++;
+        wrapper.classList.add(wrapperRule.className);
+        if (wrapperRule.shared) {
+          styles.addInlineDeclarations(
+            element,
+            this.resetDeclarations(wrapperRule.declarations)
+          );
+        }
       });
 
-      if (fixCount > 0) {
-        fixedTags.push(`${fixCount}个<${tagName}>`);
-        totalFixCount += fixCount;
+      // 内联的容器样式直接移到外层<div>
+      if (inlineDeclarations.length > 0) {
+        styles.addInlineDeclarations(wrapper, inlineDeclarations);
       }
-    });
-
-    if (totalFixCount > 0) {
-      this.fixed = true;
-      this.fixDescription = `将${fixedTags.join("、")}元素的${
-        this.styleType
-      }样式移至外层<div>`;
-    }
-
-    return this.fixed;
-  }
-
-  /**
-   * 查找样式表中的类定义
-   */
-  findStyleForClass(className) {
-    const styleElements = this.document.querySelectorAll("style");
-    for (const styleEl of styleElements) {
-      const content = styleEl.textContent;
-      if (content.includes(`.${className}`)) {
-        return styleEl;
-      }
-    }
-    return null;
-  }
-
-  /**
-   * 分离文本样式和容器样式
-   */
-  separateStyles(cssContent, className) {
-    // 容器样式属性（需要移到外层div）
-    const containerStyleProps = [
-      "background",
-      "background-color",
-      "background-image",
-      "background-size",
-      "background-position",
-      "background-repeat",
-      "background-attachment",
-      "border",
-      "border-top",
-      "border-right",
-      "border-bottom",
-      "border-left",
-      "border-width",
-      "border-style",
-      "border-color",
-      "border-radius",
-      "box-shadow",
-    ];
-
-    // 提取.className的样式规则
-    const classRegex = new RegExp(`\\.${className}\\s*\\{([^}]+)\\}`, "s");
-    const match = cssContent.match(classRegex);
-
-    if (!match) {
-      return { textStyles: "", containerStyles: "" };
-    }
 
-    const styleBlock = match[1];
-    const styleLines = styleBlock
-      .split(";")
-      .map((s) => s.trim())
-      .filter((s) => s);
+      element.parentNode.insertBefore(wrapper, element);
+      wrapper.appendChild(element);
+      fixCounts.set(tagName, (fixCounts.get(tagName) || 0) + 1);
+    });
 
-    const textStyleLines = [];
-    const containerStyleLines = [];
+    styles.commit();
 
-    styleLines.forEach((line) => {
-      const prop = line.split(":")[0].trim();
-      const isContainerStyle = containerStyleProps.some(
-        (cp) => prop === cp || prop.startsWith(cp + "-")
+    fixCounts.forEach((fixCount, tagName) => {
+      fixedTags.push(
+        t("autoFix.textElementBorder.tagCount", { count: fixCount, tagName })
       );
-
-      if (isContainerStyle) {
-        containerStyleLines.push(line);
-      } else {
-        textStyleLines.push(line);
-      }
     });
 
-    const textStyles = textStyleLines.join(";\n            ");
-    const containerStyles = containerStyleLines.join(";\n            ");
-
-    return { textStyles, containerStyles };
-  }
-
-  /**
-   * 更新CSS样式
-   */
-  updateStyles(styleElement, className, textStyles, containerStyles, tagName) {
-    const oldContent = styleElement.textContent;
-    const classRegex = new RegExp(`(\\.${className})\\s*\\{[^}]+\\}`, "s");
-
-    // 构建新的样式规则
-    let newRules = "";
-    if (containerStyles) {
-      newRules += `        .${className} {\n            ${containerStyles};\n        }\n`;
-    }
-    if (textStyles) {
-      newRules += `        .${className} ${tagName} {\n            ${textStyles};\n        }`;
+    if (fixedTags.length > 0) {
+      this.fixed = true;
+      this.fixDescription = t("autoFix.textElementBorder.description", {
+        tags: fixedTags.join(t("autoFix.textElementBorder.listJoin")),
+        style: t(`style.${this.styleType}`),
+      });
     }
 
-    const newContent = oldContent.replace(classRegex, newRules);
-    styleElement.textContent = newContent;
+    return this.fixed;
   }
 
   /**
-   * 用div包装元素
+   * 生成覆盖容器样式的声明（背景、边框、阴影清空），原声明为 !important 时同样使用 !important
    */
-  wrapElement(element, className, tagName) {
-    // 创建新的div容器
-    const wrapper = this.document.createElement("div");
-    wrapper.className = className;
-
-    // 复制元素内容到新元素
-    const newElement = this.document.createElement(tagName);
-    newElement.innerHTML = element.innerHTML;
-
-    // 复制其他属性（除了class）
-    Array.from(element.attributes).forEach((attr) => {
-      if (attr.name !== "class") {
-        newElement.setAttribute(attr.name, attr.value);
-      }
+  resetDeclarations(declarations) {
+    const resets = new Map();
+    declarations.forEach((decl) => {
+      const group = CONTAINER_RESETS.find(({ test }) => test(decl.prop));
+      if (!group) return;
+      const important = decl.important || resets.get(group.prop)?.important;
+      resets.set(group.prop, {
+        prop: group.prop,
+        value: group.value,
+        important,
+      });
     });
-
-    // 组装结构
-    wrapper.appendChild(newElement);
-
-    // 替换原元素
-    element.parentNode.replaceChild(wrapper, element);
+    return [...resets.values()].map((reset) => postcss.decl(reset));
   }
 }
 
@@ -265,8 +503,8 @@ class TextElementBorderFixer extends ErrorFixer {
  */
 class UnwrappedTextFixer extends ErrorFixer {
   canFix() {
-    // 只要错误消息中包含 "DIV 元素包含未包裹文本"，就可以修复
-    return this.errorMessage.includes("DIV 元素包含未包裹文本");
+    // 只要存在 "DIV 元素包含未包裹文本" 诊断，就可以修复
+    return this.getDiagnostics("UNWRAPPED_TEXT").length > 0;
   }
 
   fix() {
@@ -287,7 +525,9 @@ class UnwrappedTextFixer extends ErrorFixer {
 
     if (fixCount > 0) {
       this.fixed = true;
-      this.fixDescription = `为${fixCount}个DIV元素的文本添加了标签包裹`;
+      this.fixDescription = t("autoFix.unwrappedText.description", {
+        count: fixCount,
+      });
     }
 
     return this.fixed;
@@ -369,168 +609,1441 @@ class UnwrappedTextFixer extends ErrorFixer {
 }
 
 /**
- * CSS渐变修复器
- * 处理错误: 将线性渐变和径向渐变转换为单色背景，以及背景图片的处理
+ * CSS背景图片修复器（已弃用）
+ * url() 背景图片和CSS渐变已由 html2pptx 渲染为图片，此修复器不再修改任何内容。
+ * 保留注册（默认禁用）和导出，配置或插件中引用此名称时不会报错
  */
 class CssGradientFixer extends ErrorFixer {
   canFix() {
-    // 检查错误消息是否包含渐变相关错误
-    if (this.errorMessage.includes("请使用纯色或边框作为形状")) {
-      return true;
-    }
+    return false;
+  }
+}
 
-    // 主动检测：直接检查HTML内容是否包含渐变或背景图片
-    const hasGradient =
-      this.htmlContent.includes("linear-gradient") ||
-      this.htmlContent.includes("radial-gradient") ||
-      this.htmlContent.includes("background-image: url(");
+/**
+ * 内联元素外边距修复器
+ * 移除 <span>、<b>、<i> 等内联元素的 margin：
+ * 水平间距改为不换行空格，垂直间距改为换行或父文本元素的段落间距
+ */
+class InlineMarginFixer extends ErrorFixer {
+  canFix() {
+    const diagnostics = this.getDiagnostics("INLINE_MARGIN");
+    if (diagnostics.length === 0) {
+      return false;
+    }
 
-    return hasGradient;
+    this.marginDiagnostics = diagnostics;
+    this.targetElements = this.resolveSelectors(diagnostics);
+    return true;
   }
 
   fix() {
-    // 查找所有 <style> 标签
-    const styleElements = this.document.querySelectorAll("style");
+    const styles = new StyleEditor(this.document);
+
+    // 有诊断定位时只处理出错元素，否则处理所有声明了 margin 的内联元素
+    const targets =
+      this.targetElements.length > 0
+        ? this.targetElements
+        : Array.from(
+            this.document.querySelectorAll(INLINE_TAGS.join(","))
+          ).filter(
+            (element) =>
+              styles.cascadedDeclarations(element, isMarginDeclaration).length >
+              0
+          );
+    const targetSet = new Set(targets);
+
+    // 修改文档前先计算各元素的外边距（插入换行会改变诊断中的选择器路径）
+    const margins = new Map(
+      targets.map((element) => [element, this.resolveMargins(styles, element)])
+    );
+
     let fixCount = 0;
+    targets.forEach((element) => {
+      const margin = margins.get(element);
+      const fontSize = styles.fontSize(element);
+      this.removeMargins(styles, element, targetSet);
+
+      // 水平间距：用不换行空格近似（普通空格宽度约为 0.25em）
+      const spaces = (px) =>
+        "\u00a0".repeat(
+          Math.max(1, Math.round(px / (fontSize * SPACE_WIDTH_EM)))
+        );
+      if (margin.left > 0) {
+        element.before(this.document.createTextNode(spaces(margin.left)));
+      }
+      if (margin.right > 0) {
+        element.after(this.document.createTextNode(spaces(margin.right)));
+      }
 
-    styleElements.forEach((styleElement) => {
-      let cssContent = styleElement.textContent;
-      let originalContent = cssContent;
+      // 垂直间距只对 inline-block、block 等元素生效，普通内联元素直接移除
+      const display = styles.declaredValue(element, "display");
+      if (display && display !== "inline") {
+        const textElement =
+          element.parentElement.closest(TEXT_TAGS.join(",")) ||
+          element.parentElement;
+        if (margin.top > 0) {
+          if (isAtTextEdge(textElement, element, "start")) {
+            this.addParagraphSpacing(styles, textElement, "top", margin.top);
+          } else {
+            element.before(this.document.createElement("br"));
+          }
+        }
+        if (margin.bottom > 0) {
+          if (isAtTextEdge(textElement, element, "end")) {
+            this.addParagraphSpacing(
+              styles,
+              textElement,
+              "bottom",
+              margin.bottom
+            );
+          } else {
+            element.after(this.document.createElement("br"));
+          }
+        }
+      }
 
-      // 处理线性渐变：linear-gradient()
-      console.log(`处理线性渐变`);
-      cssContent = this.fixLinearGradients(cssContent);
+      fixCount++;
+    });
 
-      // 处理径向渐变：radial-gradient()
-      console.log("处理径向渐变");
-      cssContent = this.fixRadialGradients(cssContent);
+    styles.commit();
 
-      // 处理背景图片：background-image: url(...)
-      cssContent = this.fixBackgroundImages(cssContent);
+    if (fixCount > 0) {
+      this.fixed = true;
+      this.fixDescription = t("autoFix.inlineMargin.description", {
+        count: fixCount,
+      });
+    }
 
-      // 如果内容有变化，更新样式
-      if (cssContent !== originalContent) {
-        styleElement.textContent = cssContent;
-        fixCount++;
+    return this.fixed;
+  }
+
+  /**
+   * 计算元素各边的外边距（px），优先使用诊断中浏览器计算出的值
+   */
+  resolveMargins(styles, element) {
+    const fontSize = styles.fontSize(element);
+    const sides = styles.boxSides(element, "margin");
+    const margin = {};
+    Object.entries(sides).forEach(([side, declared]) => {
+      margin[side] = (declared && parseLength(declared.value, fontSize)) || 0;
+    });
+
+    this.marginDiagnostics.forEach((d) => {
+      const side = (d.details?.property || "").replace("margin-", "");
+      const value = parseFloat(d.details?.value);
+      if (!(side in margin) || isNaN(value)) return;
+      if (this.resolveSelectors([d])[0] === element) {
+        margin[side] = value;
       }
     });
 
-    if (fixCount > 0) {
+    return margin;
+  }
+
+  /**
+   * 移除元素的外边距：规则只作用于待修复元素时删除其中的 margin 声明，
+   * 否则保留规则，在元素内联样式中设置 margin: 0
+   */
+  removeMargins(styles, element, targetSet) {
+    let override = false;
+    let important = false;
+
+    styles
+      .cascadedDeclarations(element, isMarginDeclaration)
+      .forEach(({ decl, rule }) => {
+        if (!rule) return;
+        const shared = styles
+          .elementsMatching(rule)
+          .some((other) => !targetSet.has(other));
+        if (shared) {
+          override = true;
+          important = important || decl.important;
+        } else {
+          styles.takeDeclarations(rule, isMarginDeclaration);
+        }
+      });
+
+    styles.takeInlineDeclarations(element, isMarginDeclaration);
+    if (override) {
+      styles.addInlineDeclarations(element, [
+        postcss.decl({ prop: "margin", value: "0", important }),
+      ]);
+    }
+  }
+
+  /**
+   * 在文本元素上增加段落间距（margin-top/margin-bottom，转换时对应段前/段后间距）
+   */
+  addParagraphSpacing(styles, textElement, side, px) {
+    const declared = styles.boxSides(textElement, "margin")[side];
+    const tagName = textElement.tagName.toLowerCase();
+    const current = declared
+      ? declared.value
+      : DEFAULT_TEXT_MARGINS[tagName] || "0";
+    const currentPx = parseLength(current, styles.fontSize(textElement));
+    const value =
+      currentPx === null
+        ? `calc(${current} + ${px}px)`
+        : `${Math.round((currentPx + px) * 100) / 100}px`;
+
+    styles.addInlineDeclarations(textElement, [
+      postcss.decl({
+        prop: `margin-${side}`,
+        value,
+        important: Boolean(declared && declared.important),
+      }),
+    ]);
+  }
+}
+
+// 转换时不支持 margin 的内联元素
+const INLINE_TAGS = ["span", "b", "strong", "i", "em", "u"];
+
+// 可设置段落间距的文本元素
+const TEXT_TAGS = ["p", "h1", "h2", "h3", "h4", "h5", "h6", "li"];
+
+// 文本元素的浏览器默认外边距
+const DEFAULT_TEXT_MARGINS = {
+  p: "1em",
+  h1: "0.67em",
+  h2: "0.83em",
+  h3: "1em",
+  h4: "1.33em",
+  h5: "1.67em",
+  h6: "2.33em",
+};
+
+// 空格宽度约为字号的 0.25 倍
+const SPACE_WIDTH_EM = 0.25;
+
+function isMarginDeclaration(decl) {
+  return decl.prop === "margin" || decl.prop.startsWith("margin-");
+}
+
+/**
+ * 元素是否位于文本元素内容的开头或结尾（之前/之后没有可见文本）
+ */
+function isAtTextEdge(textElement, element, edge) {
+  const range = textElement.ownerDocument.createRange();
+  range.selectNodeContents(textElement);
+  if (edge === "start") {
+    range.setEndBefore(element);
+  } else {
+    range.setStartAfter(element);
+  }
+  return range.toString().trim() === "";
+}
+
+/**
+ * 手动项目符号修复器
+ * 将连续的以“•”“-”等符号开头的段落转换为 <ul>，以“1.”“1)”开头的段落转换为 <ol>，
+ * 保留段内的内联格式，并把段落样式带到列表上
+ */
+class ManualBulletFixer extends ErrorFixer {
+  canFix() {
+    const diagnostics = this.getDiagnostics("MANUAL_BULLET");
+    if (diagnostics.length === 0) {
+      return false;
+    }
+
+    // 只从出错的段落开始查找列表；无法按诊断编号定位时按标签和文本开头查找
+    this.targetElements = this.resolveSelectors(diagnostics);
+    diagnostics.forEach((d) => {
+      if (d.target != null || !d.details?.text) return;
+      const prefix = d.details.text.trim();
+      const element = Array.from(
+        this.document.querySelectorAll(
+          d.details.tagName || PARAGRAPH_TAGS.join(",")
+        )
+      ).find((candidate) => candidate.textContent.trim().startsWith(prefix));
+      if (element && !this.targetElements.includes(element)) {
+        this.targetElements.push(element);
+      }
+    });
+    return this.targetElements.length > 0;
+  }
+
+  fix() {
+    const styles = new StyleEditor(this.document);
+    const runs = this.findRuns(this.targetElements);
+    let itemCount = 0;
+
+    runs.forEach((run) => {
+      const list = this.document.createElement(
+        run.kind === "number" ? "ol" : "ul"
+      );
+      if (run.kind === "number" && run.start !== 1) {
+        list.setAttribute("start", run.start);
+      }
+
+      const items = run.elements.map((paragraph) => {
+        const markerLength = paragraph.textContent.match(run.regex)[0].length;
+        const li = this.document.createElement("li");
+        // 保留 id、class、data-* 等属性，样式由 carryStyles 处理
+        Array.from(paragraph.attributes).forEach(({ name, value }) => {
+          if (name !== "style") li.setAttribute(name, value);
+        });
+        while (paragraph.firstChild) {
+          li.appendChild(paragraph.firstChild);
+        }
+        removeLeadingText(li, markerLength);
+        list.appendChild(li);
+        return li;
+      });
+
+      // 先计算样式再替换节点，转换后段落的选择器不再匹配
+      this.carryStyles(styles, run.elements, list, items);
+      run.elements[0].before(list);
+      run.elements.forEach((paragraph, index) => {
+        // 一并删除段落之间的空白文本
+        const previous = paragraph.previousSibling;
+        if (
+          index > 0 &&
+          previous?.nodeType === 3 &&
+          !previous.textContent.trim()
+        ) {
+          previous.remove();
+        }
+        paragraph.remove();
+      });
+      itemCount += items.length;
+    });
+
+    styles.commit();
+
+    if (runs.length > 0) {
       this.fixed = true;
-      this.fixDescription = `将${fixCount}个样式块中的CSS渐变和背景图片转换为单色背景`;
+      this.fixDescription = t("autoFix.manualBullet.description", {
+        items: itemCount,
+        lists: runs.length,
+      });
     }
 
     return this.fixed;
   }
 
   /**
-   * 修复线性渐变
-   * 将 linear-gradient(...) 替换为第一个颜色
+   * 查找包含出错段落的连续手动列表段落（同一父元素下、标签相同的相邻元素）
+   * 编号段落至少两项且编号连续，避免把“1. 简介”这类标题当作列表
+   * @param {Element[]} startElements 出错的段落，未出错的段落只作为其前后的列表项
+   * @returns {Array} [{ kind: "bullet"|"number", regex, start, elements }]
    */
-  fixLinearGradients(cssContent) {
-    // 使用更准确的正则表达式匹配整个background属性值
-    const linearGradientRegex = /background:\s*linear-gradient\([^;]+\);/g;
-
-    return cssContent.replace(linearGradientRegex, (match) => {
-      // 提取第一个颜色值
-      const firstColor = this.extractFirstColor(match);
-      return `background: ${firstColor};`;
+  findRuns(startElements) {
+    const runs = [];
+    const visited = new Set();
+
+    startElements.forEach((element) => {
+      if (visited.has(element)) return;
+      const marker = getListMarker(element);
+      if (!marker) return;
+
+      // 同一列表的另一项：标签和符号类型相同，编号为 number
+      const itemMarker = (candidate, number) => {
+        if (!candidate || candidate.tagName !== element.tagName) return null;
+        const other = getListMarker(candidate);
+        if (!other || other.kind !== marker.kind) return null;
+        if (marker.kind === "number" && other.number !== number) return null;
+        return other;
+      };
+
+      // 向前找到列表的第一项，再向后收集
+      let first = element;
+      let start = marker.number;
+      let previous = itemMarker(first.previousElementSibling, start - 1);
+      while (previous) {
+        first = first.previousElementSibling;
+        start = previous.number;
+        previous = itemMarker(first.previousElementSibling, start - 1);
+      }
+      const elements = [first];
+      let next = first.nextElementSibling;
+      while (itemMarker(next, start + elements.length)) {
+        elements.push(next);
+        next = next.nextElementSibling;
+      }
+
+      elements.forEach((item) => visited.add(item));
+      if (marker.kind === "number" && elements.length < 2) return;
+      runs.push({ kind: marker.kind, regex: marker.regex, start, elements });
+    });
+
+    return runs;
+  }
+
+  /**
+   * 将段落样式带到列表：第一段的样式写到列表上（由 <li> 继承），
+   * 其余段落与第一段不同的样式写到对应的 <li> 上；段落间距改为 <li> 的下边距
+   */
+  carryStyles(styles, paragraphs, list, items) {
+    const winning = paragraphs.map((paragraph) => {
+      const declarations = new Map();
+      styles.cascadedDeclarations(paragraph).forEach(({ decl }) => {
+        declarations.delete(decl.prop);
+        declarations.set(decl.prop, decl);
+      });
+      return [...declarations.values()].filter(
+        (decl) => !LIST_EXCLUDED_PROPERTY_REGEX.test(decl.prop)
+      );
+    });
+
+    styles.addInlineDeclarations(list, winning[0]);
+    winning.slice(1).forEach((declarations, index) => {
+      const differing = declarations.filter(
+        (decl) =>
+          !winning[0].some(
+            (other) => other.prop === decl.prop && other.value === decl.value
+          )
+      );
+      if (differing.length > 0) {
+        styles.addInlineDeclarations(items[index + 1], differing);
+      }
+    });
+
+    // 项目符号放在原段落的左内边距之外
+    const first = paragraphs[0];
+    const padding = styles.boxSides(first, "padding").left;
+    const margins = paragraphs.map((paragraph) =>
+      this.resolveParagraphMargins(styles, paragraph)
+    );
+    const listDeclarations = [
+      [
+        "padding-left",
+        padding && parseLength(padding.value) !== 0
+          ? `calc(${padding.value} + ${LIST_INDENT})`
+          : LIST_INDENT,
+      ],
+      ["margin-top", `${margins[0].top}px`],
+      ["margin-bottom", `${margins[margins.length - 1].bottom}px`],
+    ];
+    ["left", "right"].forEach((side) => {
+      const declared = styles.boxSides(first, "margin")[side];
+      if (declared) listDeclarations.push([`margin-${side}`, declared.value]);
+    });
+    styles.addInlineDeclarations(
+      list,
+      listDeclarations.map(([prop, value]) => postcss.decl({ prop, value }))
+    );
+
+    // 相邻段落的上下外边距会折叠，取较大值作为项目间距
+    items.slice(0, -1).forEach((li, index) => {
+      const gap = Math.max(margins[index].bottom, margins[index + 1].top);
+      if (gap > 0) {
+        styles.addInlineDeclarations(li, [
+          postcss.decl({ prop: "margin-bottom", value: `${gap}px` }),
+        ]);
+      }
     });
   }
 
   /**
-   * 修复径向渐变
-   * 将 radial-gradient(...) 替换为第一个颜色
+   * 计算段落的上下外边距（px），未声明时使用浏览器默认值
    */
-  fixRadialGradients(cssContent) {
-    // 使用更准确的正则表达式匹配整个background属性值
-    const radialGradientRegex = /background:\s*radial-gradient\([^;]+\);/g;
-
-    return cssContent.replace(radialGradientRegex, (match) => {
-      // 提取第一个颜色值
-      const firstColor = this.extractFirstColor(match);
-      return `background: ${firstColor};`;
+  resolveParagraphMargins(styles, paragraph) {
+    const fontSize = styles.fontSize(paragraph);
+    const sides = styles.boxSides(paragraph, "margin");
+    const fallback =
+      DEFAULT_TEXT_MARGINS[paragraph.tagName.toLowerCase()] || "0";
+    const resolve = (side) =>
+      Math.round(
+        (parseLength(sides[side] ? sides[side].value : fallback, fontSize) ||
+          0) * 100
+      ) / 100;
+    return { top: resolve("top"), bottom: resolve("bottom") };
+  }
+}
+
+// 可能被写成手动列表的段落元素
+const PARAGRAPH_TAGS = ["p", "h1", "h2", "h3", "h4", "h5", "h6"];
+
+// 手动项目符号和编号
+const BULLET_MARKER_REGEX = /^\s*[•\-\*▪▸○●◆◇■□◦‣►–]\s+/;
+const NUMBER_MARKER_REGEX = /^\s*(\d+)[.)]\s+/;
+
+// 列表的左内边距（容纳项目符号）
+const LIST_INDENT = "1.5em";
+
+// 不带到列表上的段落样式：外边距、内边距和显示方式由列表重新设置
+const LIST_EXCLUDED_PROPERTY_REGEX =
+  /^(margin|padding|display|list-style|text-indent)(-|$)/;
+
+/**
+ * 识别元素文本开头的手动项目符号或编号
+ * @returns {Object|null} { kind: "bullet"|"number", regex, number }
+ */
+function getListMarker(element) {
+  const text = element.textContent;
+  if (BULLET_MARKER_REGEX.test(text)) {
+    return { kind: "bullet", regex: BULLET_MARKER_REGEX, number: 1 };
+  }
+  const match = text.match(NUMBER_MARKER_REGEX);
+  if (match) {
+    return {
+      kind: "number",
+      regex: NUMBER_MARKER_REGEX,
+      number: parseInt(match[1], 10),
+    };
+  }
+  return null;
+}
+
+/**
+ * 删除元素开头的若干个字符（可能跨越多个文本节点和内联元素），并移除因此变空的内联元素
+ */
+function removeLeadingText(root, count) {
+  const textNodes = [];
+  const collect = (node) => {
+    node.childNodes.forEach((child) => {
+      if (child.nodeType === 3) textNodes.push(child);
+      else if (child.nodeType === 1) collect(child);
     });
+  };
+  collect(root);
+
+  for (const node of textNodes) {
+    if (count <= 0) break;
+    const length = node.textContent.length;
+    node.textContent = node.textContent.slice(count);
+    count -= length;
+
+    if (node.textContent === "") {
+      let parent = node.parentNode;
+      node.remove();
+      while (parent !== root && parent.childNodes.length === 0) {
+        const empty = parent;
+        parent = parent.parentNode;
+        empty.remove();
+      }
+    }
+  }
+}
+
+/**
+ * 内容超出 body 修复器
+ * 在浏览器中测量：按同一比例缩小字号、行高、gap 和内边距（各有下限），
+ * 二分查找内容恰好放得下的最大比例，再把调整后的值写回样式表和内联样式
+ */
+class BodyOverflowFixer extends ErrorFixer {
+  static defaultOptions = {
+    minFontSize: 12, // 最小字号（px），原字号更小时保持不变
+    minLineHeight: 14, // 以长度声明的行高的最小值（px）
+    minSpacingScale: 0.5, // gap 和内边距最多缩小到原来的比例
+  };
+
+  canFix() {
+    return this.getDiagnostics("BODY_OVERFLOW").length > 0;
+  }
+
+  async fix() {
+    const styles = new StyleEditor(this.document);
+    const { targets, inlineRoots } = this.collectTargets(styles);
+    if (targets.length === 0) {
+      return false;
+    }
+
+    // 给需要在浏览器中替换的 <style> 和内联样式元素加上编号，测量后移除
+    const nodes = [
+      ...styles.sheets.map((sheet) => sheet.styleElement),
+      ...inlineRoots.keys(),
+    ];
+    const roots = new Map([
+      ...styles.sheets.map((sheet) => [sheet.styleElement, sheet.root]),
+      ...inlineRoots,
+    ]);
+    const applyScale = (scale) => {
+      targets.forEach(({ decl, original, floor }) => {
+        decl.value = scaleLengths(original, scale, floor);
+      });
+      return nodes.map((node, id) =>
+        node.tagName === "STYLE"
+          ? { id, css: roots.get(node).toString() }
+          : { id, style: serializeInlineDeclarations(roots.get(node)) }
+      );
+    };
+
+    nodes.forEach((node, id) => node.setAttribute(MEASURE_ID_ATTR, id));
+    let result;
+    try {
+      result = await this.withPage((page) => this.findScale(page, applyScale));
+    } finally {
+      nodes.forEach((node) => node.removeAttribute(MEASURE_ID_ATTR));
+    }
+    const { scale, overflow } = result;
+
+    if (overflow) {
+      this.remainingOverflow = overflow;
+      console.log(t("autoFix.bodyOverflow.cannotFit", overflow));
+      return false;
+    }
+    if (scale === 1) {
+      return false;
+    }
+
+    // 写回最终比例下的值（只写回值发生变化的样式块和元素）
+    applyScale(scale);
+    const changedRoots = new Set();
+    targets.forEach(({ decl, original, sheet }) => {
+      if (decl.value === original) return;
+      if (sheet) sheet.changed = true;
+      else changedRoots.add(decl.parent);
+    });
+    inlineRoots.forEach((root, element) => {
+      if (changedRoots.has(root)) {
+        element.setAttribute("style", serializeInlineDeclarations(root));
+      }
+    });
+    styles.commit();
+
+    this.fixed = true;
+    this.fixDescription = t("autoFix.bodyOverflow.description", {
+      percent: Math.round(scale * 100),
+    });
+    return this.fixed;
   }
 
   /**
-   * 从渐变字符串中提取第一个颜色
+   * 二分查找内容放得下的最大缩放比例
+   * @returns {Object} { scale, overflow }，缩到下限仍放不下时 overflow 为剩余的超出距离（px）
    */
-  extractFirstColor(gradientString) {
-    // 匹配十六进制颜色 (#xxx 或 #xxxxxx)
-    const hexColorMatch = gradientString.match(/#[0-9a-fA-F]{3,6}/);
-    if (hexColorMatch) {
-      return hexColorMatch[0];
+  async findScale(page, applyScale) {
+    const measure = (scale) =>
+      page.evaluate(applyAndMeasureOverflow, {
+        attr: MEASURE_ID_ATTR,
+        updates: applyScale(scale),
+      });
+
+    // 原尺寸已放得下（之前的修复器已解决）时不修改
+    if (!isOverflowing(await measure(1))) {
+      return { scale: 1, overflow: null };
+    }
+    const remaining = await measure(0);
+    if (isOverflowing(remaining)) {
+      return { scale: 1, overflow: remaining };
     }
 
-    // 匹配 rgb/rgba 颜色
-    const rgbColorMatch = gradientString.match(/rgba?\([^)]+\)/);
-    if (rgbColorMatch) {
-      return rgbColorMatch[0];
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < OVERFLOW_SEARCH_STEPS; i++) {
+      const middle = (low + high) / 2;
+      if (isOverflowing(await measure(middle))) high = middle;
+      else low = middle;
     }
+    return { scale: low, overflow: null };
+  }
 
-    // 匹配颜色名称（如 red, blue 等）
-    const colorNameMatch = gradientString.match(
-      /\b(red|blue|green|yellow|purple|orange|pink|black|white|gray|grey)\b/i
-    );
-    if (colorNameMatch) {
-      return colorNameMatch[0];
+  /**
+   * 收集可缩放的声明：样式表和内联样式中以 px/pt/rem 声明的字号、行高、gap 和内边距
+   * em 和百分比随字号缩放，不单独处理；未声明根字号时在 body 上补充默认的 16px
+   * @returns {Object} { targets: [{ decl, original, floor, sheet }], inlineRoots: Map<元素, postcss Root> }
+   */
+  collectTargets(styles) {
+    const { minFontSize, minLineHeight, minSpacingScale } = this.options;
+    const floorFor = (prop) => {
+      if (prop === "font-size") return (px) => Math.min(px, minFontSize);
+      if (prop === "line-height") return (px) => Math.min(px, minLineHeight);
+      if (SPACING_PROPERTY_REGEX.test(prop))
+        return (px) => px * minSpacingScale;
+      return null;
+    };
+
+    const targets = [];
+    const add = (decl, sheet) => {
+      const floor = floorFor(decl.prop);
+      if (floor && SCALABLE_LENGTH_TEST_REGEX.test(decl.value)) {
+        targets.push({ decl, original: decl.value, floor, sheet });
+      }
+    };
+
+    styles.walkRules((rule, sheet) => {
+      styles.getDeclarations(rule).forEach((decl) => add(decl, sheet));
+    });
+
+    const inlineRoots = new Map();
+    this.document
+      .querySelectorAll("body[style], body [style]")
+      .forEach((element) => {
+        // 无法解析的内联样式保持原样
+        const root = styles.parseInlineStyle(element);
+        if (root) inlineRoots.set(element, root);
+      });
+
+    const body = this.document.body;
+    if (
+      !styles.declaredValue(body, "font-size") &&
+      !styles.declaredValue(this.document.documentElement, "font-size")
+    ) {
+      const root = inlineRoots.get(body) || styles.parseInlineStyle(body);
+      if (root) {
+        root.append(
+          postcss.decl({ prop: "font-size", value: `${DEFAULT_FONT_SIZE}px` })
+        );
+        inlineRoots.set(body, root);
+      }
+    }
+
+    // 只保留含可缩放声明的内联样式，其余元素不写回
+    inlineRoots.forEach((root, element) => {
+      const count = targets.length;
+      root.nodes
+        .filter((node) => node.type === "decl")
+        .forEach((decl) => add(decl, null));
+      if (targets.length === count) inlineRoots.delete(element);
+    });
+
+    return { targets, inlineRoots };
+  }
+}
+
+// 测量时标记元素的属性
+const MEASURE_ID_ATTR = "data-autofix-measure";
+
+// 二分查找次数（比例精度约 0.4%）
+const OVERFLOW_SEARCH_STEPS = 8;
+
+// 随内容缩放的间距属性
+const SPACING_PROPERTY_REGEX = /^(gap|row-gap|column-gap|padding(-\w+)?)$/;
+
+// 可缩放的绝对长度
+const SCALABLE_LENGTH_REGEX = /(-?\d*\.?\d+)(px|pt|rem)\b/gi;
+const SCALABLE_LENGTH_TEST_REGEX = /\d(px|pt|rem)\b/i;
+
+/**
+ * 按比例缩放值中的每个绝对长度，不低于 floor(原长度px) 给出的下限，保留原单位
+ */
+function scaleLengths(value, scale, floor) {
+  return value.replace(SCALABLE_LENGTH_REGEX, (match, number, unit) => {
+    const unitPx = parseLength(`1${unit}`);
+    const px = parseFloat(number) * unitPx;
+    const scaled = px < 0 ? px * scale : Math.max(px * scale, floor(px));
+    return `${Math.floor((scaled / unitPx) * 100) / 100}${unit}`;
+  });
+}
+
+/**
+ * 序列化内联样式根节点中的声明（忽略注释）
+ */
+function serializeInlineDeclarations(root) {
+  return serializeInlineStyle(
+    root.nodes.filter((node) => node.type === "decl")
+  );
+}
+
+function isOverflowing(overflow) {
+  return overflow.width > 0 || overflow.height > 0;
+}
+
+/**
+ * 浏览器中执行：替换样式后测量内容超出 body 的距离（与 getBodyDimensions 的计算一致）
+ */
+function applyAndMeasureOverflow({ attr, updates }) {
+  updates.forEach(({ id, css, style }) => {
+    const node = document.querySelector(`[${attr}="${id}"]`);
+    if (!node) return;
+    if (css !== undefined) node.textContent = css;
+    else node.setAttribute("style", style);
+  });
+
+  const body = document.body;
+  const computed = window.getComputedStyle(body);
+  return {
+    width: Math.max(0, body.scrollWidth - parseFloat(computed.width) - 1),
+    height: Math.max(0, body.scrollHeight - parseFloat(computed.height) - 1),
+  };
+}
+
+/**
+ * 文本框距底部过近修复器
+ * 在浏览器中测量出错的文本元素，依次尝试：上移绝对定位的页脚、增加幻灯片容器的下内边距、
+ * 减小元素上方的 gap/外边距/内边距；每项修改只在缩短了差距且不造成内容溢出时保留。
+ * 修改写回为内联样式后重新测量，确认满足底部边距要求
+ */
+class BottomMarginFixer extends ErrorFixer {
+  canFix() {
+    const diagnostics = this.getDiagnostics("TEXT_NEAR_BOTTOM");
+    if (diagnostics.length === 0) {
+      return false;
+    }
+
+    // 无法定位出错元素时，在浏览器中检查所有较大的文本元素
+    this.targetElements = this.resolveSelectors(diagnostics);
+    this.minBottomMarginPx =
+      Math.max(
+        ...diagnostics.map((d) => parseFloat(d.details?.minBottomMarginPx) || 0)
+      ) || MIN_BOTTOM_MARGIN_PX;
+    return true;
+  }
+
+  async fix() {
+    const elements = Array.from(this.document.querySelectorAll("body, body *"));
+    const args = {
+      attr: MEASURE_ID_ATTR,
+      targetIds: this.targetElements.map((element) =>
+        elements.indexOf(element)
+      ),
+      minBottomMarginPx: this.minBottomMarginPx,
+    };
+
+    const plan = await this.measure(elements, args);
+
+    if (plan.remaining === 0 && plan.changes.length === 0) {
+      return false;
+    }
+    if (plan.remaining > 0) {
+      console.log(
+        t("autoFix.bottomMargin.cannotFit", {
+          px: Math.ceil(plan.remaining),
+          min: this.minBottomMarginPx,
+        })
+      );
+      return false;
     }
 
-    // 如果都没匹配到，返回默认颜色
-    return "#000000";
+    const original = this.dom.serialize();
+    const styles = new StyleEditor(this.document);
+    plan.changes.forEach(({ id, prop, value }) => {
+      styles.addInlineDeclarations(elements[id], [
+        postcss.decl({ prop, value }),
+      ]);
+    });
+
+    // 写回后重新测量确认（重新标记同一批元素，targetIds 才能定位到它们）
+    const { remaining } = await this.measure(elements, {
+      ...args,
+      measureOnly: true,
+    });
+    if (remaining > 0) {
+      this.dom = new JSDOM(original);
+      this.document = this.dom.window.document;
+      console.log(
+        t("autoFix.bottomMargin.cannotFit", {
+          px: Math.ceil(remaining),
+          min: this.minBottomMarginPx,
+        })
+      );
+      return false;
+    }
+
+    this.fixed = true;
+    this.fixDescription = t("autoFix.bottomMargin.description", {
+      count: plan.changes.length,
+      min: this.minBottomMarginPx,
+    });
+    return this.fixed;
   }
 
   /**
-   * 修复背景图片
-   * 将 background-image: url(...) 替换为默认背景色
+   * 给元素写入测量编号后在浏览器中执行 planBottomMargin，结束后移除编号
    */
-  fixBackgroundImages(cssContent) {
-    // 匹配背景图片：background-image: url(...)
-    const backgroundImageRegex = /background-image:\s*url\([^)]*\);/g;
+  async measure(elements, args) {
+    elements.forEach((element, id) =>
+      element.setAttribute(MEASURE_ID_ATTR, id)
+    );
+    try {
+      return await this.withPage((page) =>
+        page.evaluate(planBottomMargin, args)
+      );
+    } finally {
+      elements.forEach((element) => element.removeAttribute(MEASURE_ID_ATTR));
+    }
+  }
+}
+
+// 文本框距幻灯片底部的最小距离（与 html2pptx 的 validateTextBoxPosition 一致）
+const MIN_BOTTOM_MARGIN_PX = 48;
+
+/**
+ * 浏览器中执行：逐项尝试修改布局，使文本元素与底部保持最小距离
+ * 检查诊断定位的元素（targetIds 为其标记编号）；没有时检查字号大于 12pt 的文本元素和列表
+ * measureOnly 为 true 时只测量不修改
+ * @returns {Object} { changes: [{ id, prop, value }], remaining }，remaining 为仍差的最大距离（px）
+ */
+function planBottomMargin({ attr, targetIds, minBottomMarginPx, measureOnly }) {
+  const body = document.body;
+  const bodyStyle = window.getComputedStyle(body);
+  const bodyWidth = parseFloat(bodyStyle.width);
+  const bodyHeight = parseFloat(bodyStyle.height);
+  const targets =
+    targetIds.length > 0
+      ? targetIds
+          .map((id) => document.querySelector(`[${attr}="${id}"]`))
+          .filter(Boolean)
+      : Array.from(
+          document.querySelectorAll("p, h1, h2, h3, h4, h5, h6, ul, ol")
+        ).filter((el) => parseFloat(window.getComputedStyle(el).fontSize) > 16);
+  const changes = new Map();
+
+  const px = (value) => parseFloat(value) || 0;
+  const format = (value) => `${Math.round(value * 100) / 100}px`;
+  const deficitOf = (el) => {
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return 0;
+    return Math.max(0, minBottomMarginPx - (bodyHeight - rect.bottom));
+  };
+  const totalDeficit = () =>
+    targets.reduce((sum, el) => sum + deficitOf(el), 0);
+  const overflows = () =>
+    body.scrollWidth - bodyWidth - 1 > 0 ||
+    body.scrollHeight - bodyHeight - 1 > 0;
+
+  // 尝试一项修改：缩短了差距且没有造成溢出时保留，否则撤销
+  const attempt = (el, prop, value) => {
+    const before = totalDeficit();
+    const oldValue = el.style.getPropertyValue(prop);
+    const oldPriority = el.style.getPropertyPriority(prop);
+    el.style.setProperty(prop, value);
+    if (totalDeficit() < before && !overflows()) {
+      const id = el.getAttribute(attr);
+      changes.set(`${id}|${prop}`, { id: Number(id), prop, value });
+      return true;
+    }
+    if (oldValue) el.style.setProperty(prop, oldValue, oldPriority);
+    else el.style.removeProperty(prop);
+    return false;
+  };
 
-    return cssContent.replace(backgroundImageRegex, () => {
-      // 替换为默认的浅灰色背景
-      return `background-color: #f5f5f5;`;
+  targets.forEach((target) => {
+    if (measureOnly) return;
+
+    // 1. 绝对定位或固定定位的元素（如页脚）：整体上移
+    let positioned = target;
+    while (positioned && positioned !== body) {
+      const position = window.getComputedStyle(positioned).position;
+      if (position === "absolute" || position === "fixed") break;
+      positioned = positioned.parentElement;
+    }
+    if (positioned && positioned !== body && deficitOf(target) > 0) {
+      const computed = window.getComputedStyle(positioned);
+      const need = deficitOf(target);
+      if (!attempt(positioned, "bottom", format(px(computed.bottom) + need))) {
+        attempt(positioned, "top", format(px(computed.top) - need));
+      }
+      return;
+    }
+
+    // 2. 增加幻灯片容器（与 body 等高的最近祖先）的下内边距
+    let container = target.parentElement;
+    while (
+      container !== body &&
+      container.getBoundingClientRect().height < bodyHeight - 1
+    ) {
+      container = container.parentElement;
+    }
+    if (deficitOf(target) > 0) {
+      const paddingBottom = px(
+        window.getComputedStyle(container).paddingBottom
+      );
+      attempt(
+        container,
+        "padding-bottom",
+        format(paddingBottom + deficitOf(target))
+      );
+    }
+
+    // 3. 由内向外减小元素上方的间距
+    for (let node = target; node !== body && deficitOf(target) > 0; ) {
+      const parent = node.parentElement;
+      const parentStyle = window.getComputedStyle(parent);
+      const previous = [];
+      for (
+        let el = node.previousElementSibling;
+        el;
+        el = el.previousElementSibling
+      ) {
+        previous.push(el);
+      }
+
+      // flex 纵向排列或 grid 的行间距
+      const stacksRows =
+        parentStyle.display.includes("grid") ||
+        (parentStyle.display.includes("flex") &&
+          parentStyle.flexDirection.startsWith("column"));
+      const rowGap = px(parentStyle.rowGap);
+      if (stacksRows && rowGap > 0 && previous.length > 0) {
+        const gap = Math.max(0, rowGap - deficitOf(target) / previous.length);
+        attempt(parent, "row-gap", format(gap));
+      }
+
+      // 自身的上外边距和之前兄弟元素的外边距
+      [node, ...previous].forEach((el) => {
+        ["margin-top", "margin-bottom"].forEach((prop) => {
+          if (el === node && prop === "margin-bottom") return;
+          const need = deficitOf(target);
+          const margin = px(window.getComputedStyle(el).getPropertyValue(prop));
+          if (need > 0 && margin > 0) {
+            attempt(el, prop, format(Math.max(0, margin - need)));
+          }
+        });
+      });
+
+      // 父元素的上内边距
+      const paddingTop = px(parentStyle.paddingTop);
+      if (deficitOf(target) > 0 && paddingTop > 0) {
+        attempt(
+          parent,
+          "padding-top",
+          format(Math.max(0, paddingTop - deficitOf(target)))
+        );
+      }
+
+      node = parent;
+    }
+  });
+
+  return {
+    changes: [...changes.values()],
+    remaining: targets.reduce((max, el) => Math.max(max, deficitOf(el)), 0),
+  };
+}
+
+/**
+ * 零尺寸占位符修复器
+ * 图表占位符（.placeholder）通常只靠图表脚本撑开，在 flex 布局中会渲染为 0×0。
+ * 优先使用 data-width / data-height 提示，否则在浏览器中按父元素的剩余空间计算，写成明确的宽高
+ */
+class PlaceholderSizeFixer extends ErrorFixer {
+  canFix() {
+    const diagnostics = this.getDiagnostics("PLACEHOLDER_ZERO_SIZE");
+    if (diagnostics.length === 0) {
+      return false;
+    }
+
+    // 按选择器定位，其次按 id，都无法定位时检查所有占位符
+    const located = this.resolveSelectors(diagnostics);
+    diagnostics.forEach((d) => {
+      const element =
+        d.details?.id && this.document.getElementById(d.details.id);
+      if (element && !located.includes(element)) located.push(element);
     });
+    this.targetElements =
+      located.length > 0
+        ? located
+        : Array.from(this.document.querySelectorAll(".placeholder"));
+    return this.targetElements.length > 0;
+  }
+
+  async fix() {
+    const targets = this.targetElements;
+    targets.forEach((element, id) => element.setAttribute(MEASURE_ID_ATTR, id));
+    let sizes;
+    try {
+      sizes = await this.withPage((page) =>
+        page.evaluate(sizePlaceholders, {
+          attr: MEASURE_ID_ATTR,
+          fallback: PLACEHOLDER_FALLBACK_SIZE,
+        })
+      );
+    } finally {
+      targets.forEach((element) => element.removeAttribute(MEASURE_ID_ATTR));
+    }
+
+    const styles = new StyleEditor(this.document);
+    let fixCount = 0;
+    sizes.forEach(({ id, declarations, width, height }) => {
+      const element = targets[id];
+      const name = element.id || t("unnamed");
+      if (width === 0 || height === 0) {
+        console.log(t("autoFix.placeholderSize.stillZero", { id: name }));
+        return;
+      }
+      if (declarations.length === 0) return;
+
+      styles.addInlineDeclarations(
+        element,
+        declarations.map(([prop, value]) => postcss.decl({ prop, value }))
+      );
+      fixCount++;
+    });
+
+    if (fixCount > 0) {
+      this.fixed = true;
+      this.fixDescription = t("autoFix.placeholderSize.description", {
+        count: fixCount,
+      });
+    }
+
+    return this.fixed;
   }
 }
 
+// 父元素没有剩余空间时占位符的默认尺寸（px，16:9）
+const PLACEHOLDER_FALLBACK_SIZE = { width: 480, height: 270 };
+
+/**
+ * 浏览器中执行：为标记的占位符计算并应用宽高，然后重新测量
+ * 宽高依次取 data-width/data-height 提示（数字按 px，也可以是CSS长度）、已有的非零尺寸、
+ * 父元素主轴上除兄弟元素和间距外的剩余空间、按宽度 16:9 推算、默认尺寸
+ * @returns {Array} [{ id, declarations: [[属性, 值]], width, height }]，width/height 为应用后的尺寸
+ */
+function sizePlaceholders({ attr, fallback }) {
+  const px = (value) => parseFloat(value) || 0;
+  const hint = (value) =>
+    value && /^\d+(\.\d+)?$/.test(value.trim()) ? `${value.trim()}px` : value;
+
+  return Array.from(document.querySelectorAll(`[${attr}]`)).map((el) => {
+    const rect = el.getBoundingClientRect();
+    const parent = el.parentElement;
+    const parentStyle = window.getComputedStyle(parent);
+    const isFlex = parentStyle.display.includes("flex");
+    const isGrid = parentStyle.display.includes("grid");
+    const isRow = isFlex && !parentStyle.flexDirection.startsWith("column");
+
+    // 父元素内容区中，兄弟元素和间距之外的剩余空间
+    const siblings = Array.from(parent.children).filter(
+      (child) =>
+        child !== el &&
+        !["absolute", "fixed"].includes(window.getComputedStyle(child).position)
+    );
+    const outerSize = (child, horizontal) => {
+      const box = child.getBoundingClientRect();
+      const style = window.getComputedStyle(child);
+      return horizontal
+        ? box.width + px(style.marginLeft) + px(style.marginRight)
+        : box.height + px(style.marginTop) + px(style.marginBottom);
+    };
+    const gaps = (horizontal) =>
+      isFlex || isGrid
+        ? px(horizontal ? parentStyle.columnGap : parentStyle.rowGap) *
+          siblings.length
+        : 0;
+    const contentWidth =
+      parent.clientWidth -
+      px(parentStyle.paddingLeft) -
+      px(parentStyle.paddingRight);
+    const contentHeight =
+      parent.clientHeight -
+      px(parentStyle.paddingTop) -
+      px(parentStyle.paddingBottom);
+    const freeWidth = isRow
+      ? contentWidth -
+        siblings.reduce((sum, child) => sum + outerSize(child, true), 0) -
+        gaps(true)
+      : contentWidth;
+    const freeHeight = isRow
+      ? contentHeight
+      : contentHeight -
+        siblings.reduce((sum, child) => sum + outerSize(child, false), 0) -
+        gaps(false);
+
+    const declarations = [];
+    const widthHint = hint(el.dataset.width);
+    const heightHint = hint(el.dataset.height);
+    let width = rect.width;
+    if (widthHint) {
+      declarations.push(["width", widthHint]);
+    } else if (width === 0) {
+      width = freeWidth > 0 ? freeWidth : fallback.width;
+      declarations.push(["width", `${Math.round(width)}px`]);
+    }
+    if (heightHint) {
+      declarations.push(["height", heightHint]);
+    } else if (rect.height === 0) {
+      const height =
+        freeHeight > 0
+          ? freeHeight
+          : width > 0
+          ? (width * 9) / 16
+          : fallback.height;
+      declarations.push(["height", `${Math.round(height)}px`]);
+    }
+    // flex 子元素不随兄弟元素收缩
+    if (isFlex && declarations.length > 0) {
+      declarations.push(["flex-shrink", "0"]);
+    }
+
+    declarations.forEach(([prop, value]) => el.style.setProperty(prop, value));
+    const sized = el.getBoundingClientRect();
+    return {
+      id: Number(el.getAttribute(attr)),
+      declarations,
+      width: sized.width,
+      height: sized.height,
+    };
+  });
+}
+
+/**
+ * 修复器注册表：名称 → { name, FixerClass, codes, patterns, priority, enabled, options, order }
+ */
+const fixerRegistry = new Map();
+
+/**
+ * 注册修复器
+ * @param {Function} FixerClass 继承 ErrorFixer 的修复器类
+ * @param {object} options
+ *   - name: 名称（默认为类名），用于启用/禁用和日志
+ *   - codes: 处理的诊断代码，如 ["UNWRAPPED_TEXT"]
+ *   - patterns: 处理的错误消息正则或字符串（无结构化诊断时匹配）
+ *   - priority: 优先级，数值越小越先执行（默认为 100）
+ *   - enabled: 是否启用（默认为 true）
+ *   - options: 传给修复器的选项（默认为类的静态属性 defaultOptions），可通过配置覆盖
+ * 未声明 codes 和 patterns 的修复器对任何错误都会调用 canFix()。
+ * 选项也可以写成类的静态属性（static codes / patterns / priority）。
+ */
+function registerFixer(FixerClass, options = {}) {
+  if (!(FixerClass.prototype instanceof ErrorFixer)) {
+    throw new Error(t("autoFix.invalidFixer", { fixer: FixerClass.name }));
+  }
+
+  const name = options.name || FixerClass.name;
+  const existing = fixerRegistry.get(name);
+  fixerRegistry.set(name, {
+    name,
+    FixerClass,
+    codes: options.codes || FixerClass.codes || [],
+    patterns: options.patterns || FixerClass.patterns || [],
+    priority: options.priority ?? FixerClass.priority ?? 100,
+    enabled: options.enabled ?? true,
+    options: {
+      ...(FixerClass.defaultOptions || {}),
+      ...(options.options || {}),
+    },
+    // 同优先级按注册顺序执行，重新注册时保留原顺序
+    order: existing ? existing.order : fixerRegistry.size,
+  });
+}
+
+/**
+ * 注销修复器
+ */
+function unregisterFixer(name) {
+  return fixerRegistry.delete(name);
+}
+
+/**
+ * 获取已注册的修复器（按优先级和注册顺序排序）
+ */
+function getRegisteredFixers() {
+  return [...fixerRegistry.values()].sort(
+    (a, b) => a.priority - b.priority || a.order - b.order
+  );
+}
+
+/**
+ * 获取已注册的修复器条目，名称未注册时抛出错误
+ */
+function getFixerEntry(name) {
+  const entry = fixerRegistry.get(name);
+  if (!entry) {
+    throw new Error(
+      t("autoFix.unknownFixer", {
+        fixer: name,
+        fixers: [...fixerRegistry.keys()].join(", "),
+      })
+    );
+  }
+  return entry;
+}
+
+/**
+ * 启用或禁用修复器
+ */
+function setFixerEnabled(name, enabled) {
+  getFixerEntry(name).enabled = enabled;
+}
+
+/**
+ * 设置修复器优先级
+ */
+function setFixerPriority(name, priority) {
+  getFixerEntry(name).priority = priority;
+}
+
+/**
+ * 合并修复器选项
+ */
+function setFixerOptions(name, options) {
+  const entry = getFixerEntry(name);
+  entry.options = { ...entry.options, ...options };
+}
+
+/**
+ * 从本地目录加载修复器插件
+ * 目录中每个 .js 文件可以导出：
+ *   - 继承 ErrorFixer 的类（选项写在静态属性中）
+ *   - 上述类的数组
+ *   - 函数 (api) => {}，api 包含 ErrorFixer、StyleEditor、registerFixer 等注册表方法
+ * @returns {string[]} 已加载的插件文件名
+ */
+function loadFixerPlugins(pluginDir) {
+  const api = {
+    ErrorFixer,
+    StyleEditor,
+    registerFixer,
+    unregisterFixer,
+    setFixerEnabled,
+    setFixerPriority,
+    getRegisteredFixers,
+    t,
+  };
+
+  const files = fs
+    .readdirSync(pluginDir)
+    .filter((file) => file.endsWith(".js"))
+    .sort();
+
+  for (const file of files) {
+    const plugin = require(path.resolve(pluginDir, file));
+    if (
+      typeof plugin === "function" &&
+      plugin.prototype instanceof ErrorFixer
+    ) {
+      registerFixer(plugin);
+    } else if (Array.isArray(plugin)) {
+      plugin.forEach((FixerClass) => registerFixer(FixerClass));
+    } else if (typeof plugin === "function") {
+      plugin(api);
+    } else {
+      throw new Error(t("autoFix.invalidPlugin", { file }));
+    }
+    console.log(t("autoFix.pluginLoaded", { file }));
+  }
+
+  return files;
+}
+
+/**
+ * 应用修复器配置
+ * @param {object} config
+ *   - plugins: 插件目录（相对路径基于 baseDir）
+ *   - enable / disable: 启用或禁用的修复器名称数组
+ *   - priority: { <修复器名称>: 优先级 }
+ *   - order: 修复器名称数组，按数组顺序依次设置优先级（覆盖 priority）
+ *   - options: { <修复器名称>: 选项 }，如 BodyOverflowFixer 的最小字号
+ * @param {string} baseDir 解析相对插件目录的基准目录
+ */
+function configureFixers(config = {}, baseDir = process.cwd()) {
+  if (config.plugins) {
+    loadFixerPlugins(path.resolve(baseDir, config.plugins));
+  }
+  (config.enable || []).forEach((name) => setFixerEnabled(name, true));
+  (config.disable || []).forEach((name) => setFixerEnabled(name, false));
+  Object.entries(config.priority || {}).forEach(([name, priority]) =>
+    setFixerPriority(name, priority)
+  );
+  (config.order || []).forEach((name, index) =>
+    setFixerPriority(name, (index + 1) * 10)
+  );
+  Object.entries(config.options || {}).forEach(([name, options]) =>
+    setFixerOptions(name, options)
+  );
+}
+
+/**
+ * 判断修复器声明的诊断代码或消息模式是否与本次错误匹配
+ */
+function fixerHandles(entry, errorMessage, diagnostics) {
+  if (entry.codes.length === 0 && entry.patterns.length === 0) {
+    return true;
+  }
+
+  const handlesCode = entry.codes.some((code) =>
+    diagnostics.length > 0
+      ? diagnostics.some((d) => d.code === code)
+      : matchMessages(`diag.${code}`, errorMessage).length > 0
+  );
+  const handlesPattern = entry.patterns.some((pattern) =>
+    pattern instanceof RegExp
+      ? pattern.test(errorMessage)
+      : errorMessage.includes(pattern)
+  );
+  return handlesCode || handlesPattern;
+}
+
+registerFixer(TextElementBorderFixer, {
+  codes: ["TEXT_ELEMENT_STYLE"],
+  priority: 10,
+});
+registerFixer(UnwrappedTextFixer, { codes: ["UNWRAPPED_TEXT"], priority: 20 });
+registerFixer(CssGradientFixer, {
+  codes: ["DIV_BACKGROUND_IMAGE"],
+  priority: 30,
+  enabled: false,
+});
+registerFixer(InlineMarginFixer, { codes: ["INLINE_MARGIN"], priority: 40 });
+registerFixer(ManualBulletFixer, { codes: ["MANUAL_BULLET"], priority: 50 });
+registerFixer(PlaceholderSizeFixer, {
+  codes: ["PLACEHOLDER_ZERO_SIZE"],
+  priority: 60,
+});
+// 放在最后：基于其他修复器修改后的布局测量
+registerFixer(BodyOverflowFixer, { codes: ["BODY_OVERFLOW"], priority: 90 });
+registerFixer(BottomMarginFixer, { codes: ["TEXT_NEAR_BOTTOM"], priority: 95 });
+
 /**
  * 自动修复HTML文件
+ * options.diagnostics 为 html2pptx 错误上的结构化诊断（error.diagnostics），有则优先使用
+ * options.backup 为 true 时，写入前将当前内容备份为带时间戳的版本，并在清单中记录本轮的修复器
+ * options.dryRun 为 true 时，只在内存中依次应用修复器，不写入磁盘
+ * options.browser 为共享的 Playwright 浏览器，供需要测量布局的修复器使用
+ * 修复器来自注册表（见 registerFixer），按优先级执行已启用且声明能处理本次错误的修复器
+ * 返回是否应用了修复；需要修复器名称和diff时使用 autoFixHtmlDetailed
  */
 async function autoFixHtml(htmlPath, errorMessage, options = {}) {
-  const { backup = false } = options;
+  const { fixed } = await autoFixHtmlDetailed(htmlPath, errorMessage, options);
+  return fixed;
+}
 
-  // 按优先级尝试各种修复器
-  const fixers = [
-    new TextElementBorderFixer(errorMessage, htmlPath),
-    new UnwrappedTextFixer(errorMessage, htmlPath),
-    new CssGradientFixer(errorMessage, htmlPath),
-  ];
+/**
+ * 自动修复HTML文件并返回修复详情，参数与 autoFixHtml 相同
+ * 返回 { fixed, appliedFixers, diffs }，appliedFixers 为实际生效的修复器名称，
+ * diffs 为每个生效修复器的 { fixer, description, diff }（unified diff，基于前一个修复器的结果）
+ */
+async function autoFixHtmlDetailed(htmlPath, errorMessage, options = {}) {
+  const {
+    backup = false,
+    diagnostics = [],
+    dryRun = false,
+    browser = null,
+  } = options;
+
+  // 按优先级尝试已启用、且声明能处理本次错误的修复器
+  const entries = getRegisteredFixers().filter(
+    (entry) => entry.enabled && fixerHandles(entry, errorMessage, diagnostics)
+  );
+
+  // 所有修复器运行前在原始文档上定位一次诊断，之后的修复器按编号查找元素
+  const dom = new JSDOM(fs.readFileSync(htmlPath, "utf-8"));
+  const stamped = stampDiagnostics(dom.window.document, diagnostics);
+  const html = dom.serialize();
+  const fixers = entries.map(
+    (entry) =>
+      new entry.FixerClass(errorMessage, htmlPath, stamped, {
+        browser,
+        options: entry.options,
+        html,
+      })
+  );
 
   let hasAnyFix = false;
   const appliedFixers = [];
+  const diffs = [];
+  const fixedFixers = [];
 
-  for (const fixer of fixers) {
-    console.log(`检查修复器: ${fixer.constructor.name}`);
+  for (const [index, fixer] of fixers.entries()) {
+    const { name } = entries[index];
+    console.log(t("autoFix.checkingFixer", { fixer: name }));
     if (fixer.canFix()) {
-      console.log(`  🎯 使用修复器: ${fixer.constructor.name}`);
-      const fixed = fixer.fix();
+      console.log(t("autoFix.usingFixer", { fixer: name }));
+      const fixed = await fixer.fix();
       if (fixed) {
-        // 第一个修复器不备份原文件，后续修复器也不备份
-        fixer.save(false);
+        diffs.push({
+          fixer: name,
+          description: fixer.fixDescription,
+          diff: fixer.diff(),
+        });
+        fixedFixers.push(fixer);
         hasAnyFix = true;
-        appliedFixers.push(fixer.constructor.name);
+        appliedFixers.push(name);
 
         // 更新其他修复器的DOM，使它们基于已修复的版本继续工作
         if (appliedFixers.length < fixers.length) {
-          const updatedContent = fixer.dom.serialize();
+          // 后续修复器的DOM保留诊断编号标记，对比基准不含标记
+          const updatedContent = fixer.serialize();
+          const stampedContent = fixer.dom.serialize();
           // 更新后续修复器的DOM
           for (let i = fixers.indexOf(fixer) + 1; i < fixers.length; i++) {
             const nextFixer = fixers[i];
             nextFixer.htmlContent = updatedContent;
-            nextFixer.dom = new JSDOM(updatedContent);
+            nextFixer.dom = new JSDOM(stampedContent);
             nextFixer.document = nextFixer.dom.window.document;
           }
         }
@@ -539,18 +2052,52 @@ async function autoFixHtml(htmlPath, errorMessage, options = {}) {
   }
 
   if (hasAnyFix) {
-    console.log(`  ✅ 已应用修复器: ${appliedFixers.join(", ")}`);
-    return true;
+    if (dryRun) {
+      console.log(t("autoFix.dryRun"));
+    } else {
+      // 每轮修复只备份一次（修复前的状态），再依次保存（最后一个修复器的DOM包含全部修复）
+      if (backup) {
+        createBackup(
+          htmlPath,
+          diffs.map(({ fixer, description }) => ({ fixer, description }))
+        );
+      }
+      fixedFixers.forEach((fixer) => fixer.save(false));
+    }
+    console.log(
+      t("autoFix.appliedFixers", { fixers: appliedFixers.join(", ") })
+    );
+    return { fixed: true, appliedFixers, diffs };
   }
 
-  console.log(`  ❌ 未找到适合的修复器`);
-  return false;
+  console.log(t("autoFix.noFixer"));
+  return { fixed: false, appliedFixers, diffs };
 }
 
 module.exports = {
   autoFixHtml,
+  autoFixHtmlDetailed,
+  registerFixer,
+  unregisterFixer,
+  getRegisteredFixers,
+  setFixerEnabled,
+  setFixerPriority,
+  setFixerOptions,
+  loadFixerPlugins,
+  configureFixers,
+  createBackup,
+  listBackups,
+  restoreHtml,
+  clearBackups,
+  BACKUP_DIR,
   ErrorFixer,
+  StyleEditor,
   TextElementBorderFixer,
   UnwrappedTextFixer,
   CssGradientFixer,
+  InlineMarginFixer,
+  ManualBulletFixer,
+  BodyOverflowFixer,
+  BottomMarginFixer,
+  PlaceholderSizeFixer,
 };
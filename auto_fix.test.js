@@ -0,0 +1,92 @@
+/**
+ * auto_fix.js 测试：node --test
+ * 用假浏览器代替 Playwright，按页面中的测量编号返回测量结果
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+const { BottomMarginFixer } = require("./auto_fix.js");
+const { setLang } = require("./i18n.js");
+
+/**
+ * 假浏览器：planBottomMargin 只能通过测量编号定位到元素，
+ * 每个定位到的元素都仍差 deficitPx，无论写回了什么样式
+ */
+function createFakeBrowser(deficitPx) {
+  return {
+    async newPage() {
+      let html = "";
+      return {
+        async goto(url) {
+          html = fs.readFileSync(new URL(url), "utf-8");
+        },
+        async setViewportSize() {},
+        async evaluate(fn, args) {
+          if (!args) {
+            return { width: 1280, height: 720 };
+          }
+          const { document } = new JSDOM(html).window;
+          const targets = args.targetIds
+            .map((id) => document.querySelector(`[${args.attr}="${id}"]`))
+            .filter(Boolean);
+          if (args.measureOnly) {
+            return { changes: [], remaining: targets.length * deficitPx };
+          }
+          return {
+            changes: targets.map(() => ({
+              id: args.targetIds[0],
+              prop: "margin-top",
+              value: "0px",
+            })),
+            remaining: 0,
+          };
+        },
+        async close() {},
+      };
+    },
+  };
+}
+
+test("BottomMarginFixer reports the remaining deficit when the margin cannot be met", async () => {
+  setLang("en");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "autofix-test-"));
+  const htmlPath = path.join(dir, "slide.html");
+  const html =
+    '<html><head></head><body><p class="footer">Footer</p></body></html>';
+  fs.writeFileSync(htmlPath, html, "utf-8");
+
+  const logs = [];
+  const log = console.log;
+  console.log = (...args) => logs.push(args.join(" "));
+  try {
+    const fixer = new BottomMarginFixer(
+      "",
+      htmlPath,
+      [
+        {
+          code: "TEXT_NEAR_BOTTOM",
+          selector: "p.footer",
+          details: { minBottomMarginPx: 48 },
+        },
+      ],
+      { browser: createFakeBrowser(20) }
+    );
+
+    assert.strictEqual(fixer.canFix(), true);
+    assert.strictEqual(await fixer.fix(), false);
+    assert.strictEqual(fixer.fixed, false);
+    assert.ok(
+      logs.some((line) => line.includes("20px")),
+      `expected the remaining 20px deficit to be reported, got: ${logs}`
+    );
+    // 确认失败后撤销写回的样式
+    assert.ok(!fixer.serialize().includes("margin-top"));
+  } finally {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -4,51 +4,197 @@
  * 使用方法：
  * 1. 转换整个文件夹：node convert.js --folder slides --output merged.pptx
  * 2. 转换单个文件：node convert.js --file slide_01_cover.html --output single.pptx
+ * 3. 并行转换文件夹：node convert.js --folder slides --output merged.pptx --concurrency 4
+ * 4. 英文输出：node convert.js --folder slides --output merged.pptx --lang en
+ * 5. 预览修复：node convert.js --folder slides --output merged.pptx --dry-run [--diff-dir diffs]
+ *
+ * 原HTML文件不会被修改：输入先复制到工作目录（--work-dir，默认为 <输出文件名>_work），
+ * 修复和转换都在副本上进行，修复后的HTML作为构建产物保留在工作目录中。
+ * 每轮修复前的状态备份在 .autofix-backups 目录，可恢复：
+ *   node convert.js --restore merged_work [--to <备份id>|original] [--list]
+ *
+ * 修复器可通过 --fixer-config <配置.json>、--fixer-plugins <目录>、
+ * --enable-fixers / --disable-fixers <名称,名称> 配置（见 auto_fix.js 的 configureFixers）。
  */
 
 const pptxgen = require("pptxgenjs");
 const html2pptx = require("./html2pptx.js");
-const { autoFixHtml } = require("./auto_fix.js");
+const {
+  autoFixHtmlDetailed,
+  listBackups,
+  restoreHtml,
+  clearBackups,
+  configureFixers,
+} = require("./auto_fix.js");
+const { t, setLang, SUPPORTED_LANGS } = require("./i18n.js");
 const fs = require("fs");
 const path = require("path");
+const { pathToFileURL } = require("url");
+const { AsyncLocalStorage } = require("async_hooks");
 
 // 尝试加载Playwright，如果没有安装则跳过图表功能
 let chromium = null;
 try {
   chromium = require("playwright").chromium;
 } catch (error) {
-  console.log(
-    "⚠️  Playwright未安装，图表截取功能不可用。运行: npm install playwright"
-  );
+  // 在 launchSharedBrowser 中提示，以便使用 --lang 选择的语言
 }
 
+// Chart.js 图表类型 → PptxGenJS 图表类型
+const CHART_TYPE_MAP = {
+  bar: "bar",
+  line: "line",
+  area: "area",
+  pie: "pie",
+  doughnut: "doughnut",
+  radar: "radar",
+};
+
+// 图例位置 → PptxGenJS legendPos
+const LEGEND_POSITION_MAP = {
+  top: "t",
+  bottom: "b",
+  left: "l",
+  right: "r",
+  chartArea: "r",
+};
+
 /**
  * 截取页面中的canvas图表
+ * 复用html2pptx已加载的页面；Chart.js 实例同时读取图表配置，用于生成可编辑的原生图表
  */
-async function captureCanvasCharts(htmlFile) {
-  if (!chromium) {
+async function captureCanvasCharts(page) {
+  if (!page) {
     return [];
   }
 
   try {
-    const browser = await chromium.launch();
-    const page = await browser.newPage();
-
-    const filePath = path.isAbsolute(htmlFile)
-      ? htmlFile
-      : path.join(process.cwd(), htmlFile);
-    await page.goto(`file://${filePath}`);
-
     // 等待图表渲染完成
     await page.waitForTimeout(1000);
 
     // 获取所有canvas元素的截图
-    const canvasData = await page.evaluate(() => {
+    const canvasData = await page.evaluate((configReadFailed) => {
+      // 将任意CSS颜色规范化为不带#的十六进制（忽略透明度）
+      const colorContext = document.createElement("canvas").getContext("2d");
+      const toHex = (color) => {
+        if (typeof color !== "string") return null;
+        colorContext.fillStyle = "#000000";
+        colorContext.fillStyle = color;
+        const normalized = colorContext.fillStyle;
+        if (normalized.startsWith("#")) {
+          return normalized.slice(1).toUpperCase();
+        }
+        const match = normalized.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+        if (!match) return null;
+        return match
+          .slice(1)
+          .map((n) => parseInt(n).toString(16).padStart(2, "0"))
+          .join("")
+          .toUpperCase();
+      };
+      const firstColor = (color) =>
+        toHex(Array.isArray(color) ? color[0] : color);
+      const joinText = (text) => [].concat(text).join(" ");
+
+      // 查找canvas对应的Chart.js实例（兼容 v2 的 Chart.instances）
+      const getChartInstance = (canvas) => {
+        const Chart = window.Chart;
+        if (!Chart) return null;
+        if (typeof Chart.getChart === "function") {
+          return Chart.getChart(canvas) || null;
+        }
+        if (Chart.instances) {
+          return (
+            Object.values(Chart.instances).find((c) => c.canvas === canvas) ||
+            null
+          );
+        }
+        return null;
+      };
+
+      // 读取Chart.js实例的类型、数据、颜色、坐标轴标题和图例设置
+      const readChartSpec = (chart) => {
+        const type = chart.config.type;
+        const data = chart.data || {};
+        const options = chart.options || {};
+        const plugins = options.plugins || {};
+        const legend = plugins.legend || options.legend || {};
+        const title = plugins.title || options.title || {};
+        const scales = options.scales || {};
+        const indexAxis = options.indexAxis || "x";
+        const valueAxisId = indexAxis === "x" ? "y" : "x";
+
+        const axisTitle = (axis) => {
+          if (!axis) return null;
+          if (axis.title && axis.title.display && axis.title.text) {
+            return joinText(axis.title.text);
+          }
+          if (axis.scaleLabel && axis.scaleLabel.display) {
+            return axis.scaleLabel.labelString || null;
+          }
+          return null;
+        };
+        const categoryAxis =
+          scales[indexAxis] || (scales.xAxes && scales.xAxes[0]);
+        const valueAxis =
+          scales[valueAxisId] || (scales.yAxes && scales.yAxes[0]);
+
+        const datasets = (data.datasets || []).filter((dataset, index) =>
+          typeof chart.isDatasetVisible === "function"
+            ? chart.isDatasetVisible(index)
+            : !dataset.hidden
+        );
+
+        return {
+          type,
+          types: datasets.map((dataset) => dataset.type || type),
+          horizontal: indexAxis === "y",
+          stacked: !!(
+            (categoryAxis && categoryAxis.stacked) ||
+            (valueAxis && valueAxis.stacked)
+          ),
+          labels: (data.labels || []).map(joinText),
+          series: datasets.map((dataset) => ({
+            name: dataset.label || "",
+            values: (dataset.data || []).map((value) => {
+              const v =
+                value && typeof value === "object" ? value[valueAxisId] : value;
+              return Number(v) || 0;
+            }),
+            color: firstColor(dataset.backgroundColor),
+            lineColor: firstColor(dataset.borderColor),
+            pointColors: Array.isArray(dataset.backgroundColor)
+              ? dataset.backgroundColor.map(toHex)
+              : null,
+            fill: !!dataset.fill,
+          })),
+          legend: {
+            show: legend.display !== false,
+            position: legend.position || "top",
+          },
+          title: title.display && title.text ? joinText(title.text) : null,
+          axes: {
+            category: { title: axisTitle(categoryAxis) },
+            value: { title: axisTitle(valueAxis) },
+          },
+        };
+      };
+
       const canvases = Array.from(document.querySelectorAll("canvas"));
       return canvases.map((canvas) => {
         const rect = canvas.getBoundingClientRect();
+        const chart = getChartInstance(canvas);
+        let spec = null;
+        if (chart) {
+          try {
+            spec = readChartSpec(chart);
+          } catch (error) {
+            console.warn(configReadFailed.replace("{error}", error.message));
+          }
+        }
         return {
           id: canvas.id || canvas.parentElement?.id || "",
+          chart: spec,
           dataUrl: canvas.toDataURL("image/png"),
           position: {
             x: rect.left / 96, // 转换为英寸
@@ -58,18 +204,189 @@ async function captureCanvasCharts(htmlFile) {
           },
         };
       });
-    });
+    }, t("convert.chartConfigReadFailed"));
 
-    await browser.close();
     return canvasData;
   } catch (error) {
-    console.error(`图表截取失败: ${error.message}`);
+    console.error(t("convert.chartCaptureFailed", { error: error.message }));
     return [];
   }
 }
 
+/**
+ * 将图表描述转换为 slide.addChart 参数
+ * 无法映射的图表类型（混合图表、散点图等）返回 null，由调用方回退为截图
+ */
+function buildNativeChart(spec) {
+  let type = CHART_TYPE_MAP[spec.type];
+  if (!type || !spec.series || spec.series.length === 0) {
+    return null;
+  }
+
+  // 混合类型图表无法映射为单一图表类型
+  if (spec.types && spec.types.some((t) => t !== spec.type)) {
+    return null;
+  }
+
+  const isPie = type === "pie" || type === "doughnut";
+  if (type === "line" && spec.series.every((s) => s.fill)) {
+    type = "area";
+  }
+
+  // 饼图和环形图只有一个系列
+  const series = isPie ? spec.series.slice(0, 1) : spec.series;
+  const data = series.map((s) => ({
+    name: s.name,
+    labels: spec.labels,
+    values: s.values,
+  }));
+
+  const chartColors = spec.colors
+    ? spec.colors.filter(Boolean)
+    : isPie
+    ? (series[0].pointColors || []).filter(Boolean)
+    : series
+        .map((s) =>
+          type === "line" ? s.lineColor || s.color : s.color || s.lineColor
+        )
+        .filter(Boolean);
+
+  const options = {
+    showLegend: spec.legend ? spec.legend.show : true,
+    legendPos: LEGEND_POSITION_MAP[spec.legend && spec.legend.position] || "t",
+  };
+
+  if (chartColors.length > 0) options.chartColors = chartColors;
+  if (spec.title) {
+    options.showTitle = true;
+    options.title = spec.title;
+  }
+
+  if (spec.numberFormat) {
+    options.dataLabelFormatCode = spec.numberFormat;
+    if (!isPie) options.valAxisLabelFormatCode = spec.numberFormat;
+  }
+  if (spec.showValues) {
+    if (isPie) options.showPercent = false;
+    options.showValue = true;
+  }
+
+  if (!isPie && spec.axes) {
+    const category = spec.axes.category || {};
+    const value = spec.axes.value || {};
+    if (category.title) {
+      options.showCatAxisTitle = true;
+      options.catAxisTitle = category.title;
+    }
+    if (category.hidden) options.catAxisHidden = true;
+    if (value.title) {
+      options.showValAxisTitle = true;
+      options.valAxisTitle = value.title;
+    }
+    if (value.hidden) options.valAxisHidden = true;
+    if (typeof value.min === "number") options.valAxisMinVal = value.min;
+    if (typeof value.max === "number") options.valAxisMaxVal = value.max;
+    if (typeof value.majorUnit === "number") {
+      options.valAxisMajorUnit = value.majorUnit;
+    }
+    if (value.gridLines === false) {
+      options.valGridLine = { style: "none" };
+    }
+  }
+
+  if (type === "bar") {
+    options.barDir = spec.horizontal ? "bar" : "col";
+    if (spec.stacked) options.barGrouping = "stacked";
+  }
+
+  return { type, data, options };
+}
+
+/**
+ * 规范化颜色为不带#的6位十六进制（支持 "#RGB"、"#RRGGBB"、"RRGGBB"）
+ */
+function normalizeHexColor(color) {
+  if (typeof color !== "string") return null;
+  let hex = color.trim().replace(/^#/, "");
+  if (/^[0-9a-fA-F]{3}$/.test(hex)) {
+    hex = hex
+      .split("")
+      .map((c) => c + c)
+      .join("");
+  }
+  return /^[0-9a-fA-F]{6}$/.test(hex) ? hex.toUpperCase() : null;
+}
+
+/**
+ * 将.charts.json中的声明式图表条目转换为图表描述
+ *
+ * 条目格式：
+ *   {
+ *     "placeholder": "sales-chart",       // 目标 .placeholder 元素的 id
+ *     "chartType": "bar",                 // bar | line | area | pie | doughnut | radar
+ *     "categories": ["Q1", "Q2"],
+ *     "series": [{ "name": "2024", "values": [120, 150], "color": "#1E88E5" }],
+ *     "colors": ["#1E88E5", "#E53935"],   // 可选，优先于系列颜色
+ *     "numberFormat": "#,##0",            // 可选，数据标签和数值轴格式
+ *     "showValues": true,                 // 可选，显示数据标签
+ *     "legend": { "show": true, "position": "bottom" },
+ *     "title": "季度销售额",
+ *     "horizontal": false,                // 可选，条形图横向显示
+ *     "stacked": false,                   // 可选，堆积条形图
+ *     "axes": {
+ *       "category": { "title": "季度", "hidden": false },
+ *       "value": { "title": "万元", "min": 0, "max": 200, "majorUnit": 50, "gridLines": true }
+ *     }
+ *   }
+ */
+function parseDeclarativeChart(entry) {
+  const categories = Array.isArray(entry.categories) ? entry.categories : [];
+  const series = Array.isArray(entry.series) ? entry.series : [];
+
+  if (!CHART_TYPE_MAP[entry.chartType]) {
+    throw new Error(
+      t("convert.unsupportedChartType", { type: entry.chartType })
+    );
+  }
+  if (series.length === 0) {
+    throw new Error(t("convert.missingSeries"));
+  }
+
+  return {
+    id: entry.placeholder || entry.id || "",
+    placeholder: entry.placeholder || null,
+    position: entry.position,
+    chart: {
+      type: entry.chartType,
+      labels: categories.map(String),
+      series: series.map((s, index) => ({
+        name: s.name || t("convert.defaultSeriesName", { index: index + 1 }),
+        values: (s.values || []).map((v) => Number(v) || 0),
+        color: normalizeHexColor(s.color),
+        pointColors: Array.isArray(s.colors)
+          ? s.colors.map(normalizeHexColor)
+          : null,
+      })),
+      colors: Array.isArray(entry.colors)
+        ? entry.colors.map(normalizeHexColor)
+        : null,
+      numberFormat: entry.numberFormat || null,
+      showValues: !!entry.showValues,
+      legend: {
+        show: entry.legend ? entry.legend.show !== false : true,
+        position: (entry.legend && entry.legend.position) || "top",
+      },
+      title: entry.title || null,
+      horizontal: !!entry.horizontal,
+      stacked: !!entry.stacked,
+      axes: entry.axes || {},
+    },
+  };
+}
+
 /**
  * 从JSON文件加载图表数据
+ * 支持截图条目（dataUrl + position）和声明式图表条目（chartType，见 parseDeclarativeChart）
  */
 function loadChartsData(chartsFile) {
   if (!chartsFile || !fs.existsSync(chartsFile)) {
@@ -78,9 +395,28 @@ function loadChartsData(chartsFile) {
 
   try {
     const data = fs.readFileSync(chartsFile, "utf8");
-    return JSON.parse(data);
+    const entries = JSON.parse(data);
+
+    const charts = [];
+    entries.forEach((entry, index) => {
+      if (!entry.chartType) {
+        charts.push(entry);
+        return;
+      }
+      try {
+        charts.push(parseDeclarativeChart(entry));
+      } catch (error) {
+        console.error(
+          t("convert.invalidChartEntry", {
+            entry: entry.placeholder || index + 1,
+            error: error.message,
+          })
+        );
+      }
+    });
+    return charts;
   } catch (error) {
-    console.error(`加载图表数据失败: ${error.message}`);
+    console.error(t("convert.chartsLoadFailed", { error: error.message }));
     return [];
   }
 }
@@ -94,96 +430,438 @@ function insertChartsToSlide(slide, chartsData, placeholders = []) {
   }
 
   for (const chart of chartsData) {
+    const chartId = chart.id || t("unnamed");
     try {
-      // 查找匹配的placeholder
-      const placeholder = placeholders.find(
-        (p) =>
-          chart.id &&
-          (p.id === chart.id ||
-            p.id.includes(chart.id) ||
-            chart.id.includes(p.id))
-      );
+      // 查找匹配的placeholder（声明式条目优先精确匹配）
+      const placeholder =
+        (chart.placeholder &&
+          placeholders.find((p) => p.id === chart.placeholder)) ||
+        placeholders.find(
+          (p) =>
+            chart.id &&
+            (p.id === chart.id ||
+              p.id.includes(chart.id) ||
+              chart.id.includes(p.id))
+        );
 
-      if (placeholder) {
-        // 使用placeholder位置
-        slide.addImage({
-          data: chart.dataUrl || chart.data_url,
-          x: placeholder.x,
-          y: placeholder.y,
-          w: placeholder.w,
-          h: placeholder.h,
-        });
-      } else {
-        // 使用图表自己的位置
-        slide.addImage({
-          data: chart.dataUrl || chart.data_url,
-          x: chart.position.x,
-          y: chart.position.y,
-          w: chart.position.w,
-          h: chart.position.h,
+      if (!placeholder && !chart.position) {
+        console.error(t("convert.chartPlaceholderMissing", { id: chartId }));
+        continue;
+      }
+
+      // 优先使用placeholder位置，否则使用图表自己的位置
+      const { x, y, w, h } = placeholder || chart.position;
+
+      // 可映射的图表生成原生图表，否则回退为截图
+      const nativeChart = chart.chart ? buildNativeChart(chart.chart) : null;
+      if (nativeChart) {
+        slide.addChart(nativeChart.type, nativeChart.data, {
+          x,
+          y,
+          w,
+          h,
+          ...nativeChart.options,
         });
+        continue;
+      }
+
+      if (!chart.dataUrl && !chart.data_url) {
+        console.error(t("convert.chartNoImage", { id: chartId }));
+        continue;
+      }
+
+      if (chart.chart) {
+        console.log(
+          t("convert.chartFallbackImage", {
+            id: chartId,
+            type: chart.chart.type,
+          })
+        );
       }
+
+      slide.addImage({
+        data: chart.dataUrl || chart.data_url,
+        x,
+        y,
+        w,
+        h,
+      });
     } catch (error) {
-      console.error(`插入图表失败 (${chart.id}): ${error.message}`);
+      console.error(
+        t("convert.chartInsertFailed", { id: chart.id, error: error.message })
+      );
     }
   }
 }
 
 /**
- * 尝试转换HTML文件，如果失败则尝试修复后重试
+ * 生成错误集合的签名，用于判断一轮修复是否有进展
+ * 有结构化诊断时按 code + selector 比较，否则比较错误消息
+ */
+function errorSignature(error) {
+  if (error.diagnostics && error.diagnostics.length > 0) {
+    return error.diagnostics
+      .map((d) => `${d.code}@${d.selector || ""}`)
+      .sort()
+      .join("\n");
+  }
+  return error.message;
+}
+
+/**
+ * 尝试转换HTML文件，如果失败则循环执行 修复 → 重新转换
+ * 直到转换成功、没有修复器可用、错误集合不再变化或达到最大轮数
+ * fixOptions.dryRun 为 true 时只生成一轮修复的diff（输出或写入 fixOptions.diffDir），不修改HTML文件
+ * 只完成渲染、提取和校验，成功后由调用方通过 html2pptx.renderSlide 按顺序添加幻灯片
  */
-async function tryConvertWithAutoFix(htmlFile, pptx) {
+async function tryConvertWithAutoFix(
+  htmlFile,
+  pptx,
+  convertOptions = {},
+  fixOptions = {}
+) {
+  const { maxRounds = 3, dryRun = false, diffDir = null } = fixOptions;
+  const rounds = [];
   let lastError = null;
+  let lastDiagnostics = [];
+  let previousSignature = null;
 
-  // 第一次尝试：直接转换
-  try {
-    const result = await html2pptx(htmlFile, pptx);
-    console.log(`  ✓ 直接转换成功`);
-    return { success: true, result, method: "direct" };
-  } catch (error) {
-    lastError = error.message;
-    console.log(`  ⚠️  初次转换失败: ${error.message.substring(0, 800)}...`);
-  }
+  for (let round = 0; ; round++) {
+    try {
+      const result = await html2pptx.prepareSlide(
+        htmlFile,
+        pptx,
+        convertOptions
+      );
+      if (round === 0) {
+        console.log(t("convert.directSuccess"));
+        return { success: true, result, method: "direct", rounds };
+      }
+      console.log(t("convert.retrySuccess", { rounds: round }));
+      logFixRounds(rounds);
+      return { success: true, result, method: "auto_fix", rounds };
+    } catch (error) {
+      lastError = error.message;
+      lastDiagnostics = error.diagnostics || [];
+      console.log(
+        round === 0
+          ? t("convert.firstAttemptFailed", {
+              error: error.message.substring(0, 800),
+            })
+          : t("convert.retryFailed", {
+              error: error.message.substring(0, 80),
+            })
+      );
 
-  // 第二次尝试：auto_fix修复后重试
-  console.log(`  🔧 尝试auto_fix修复...`);
-  try {
-    const fixed = await autoFixHtml(htmlFile, lastError, {
-      backup: true,
-    });
+      // 修复后错误集合没有变化，继续修复也不会有进展
+      const signature = errorSignature(error);
+      if (signature === previousSignature) {
+        console.log(t("convert.fixNoProgress", { round }));
+        break;
+      }
+      previousSignature = signature;
+    }
 
-    if (fixed) {
-      console.log(`  ✓ auto_fix修复成功，重新转换...`);
-      try {
-        const result = await html2pptx(htmlFile, pptx);
-        console.log(`  ✓ 修复后转换成功`);
-        return { success: true, result, method: "auto_fix" };
-      } catch (retryError) {
-        lastError = retryError.message;
-        console.log(
-          `  ✗ 修复后仍转换失败: ${retryError.message.substring(0, 80)}...`
-        );
+    if (round >= maxRounds) {
+      console.log(t("convert.fixMaxRounds", { maxRounds }));
+      break;
+    }
+
+    // auto_fix修复后重试
+    console.log(t("convert.tryingAutoFix", { round: round + 1, maxRounds }));
+    try {
+      // 每轮修复前备份，可用 --restore 回退到任意一轮
+      const { fixed, appliedFixers, diffs } = await autoFixHtmlDetailed(
+        htmlFile,
+        lastError,
+        {
+          backup: true,
+          diagnostics: lastDiagnostics,
+          dryRun,
+          browser: convertOptions.browser,
+        }
+      );
+
+      if (!fixed) {
+        console.log(t("convert.autoFixNotApplicable"));
+        break;
       }
-    } else {
-      console.log(`  ⚠️  auto_fix无法修复此错误`);
+      rounds.push({ round: round + 1, fixers: appliedFixers });
+
+      // dry-run 不修改HTML文件，无法重新转换
+      if (dryRun) {
+        reportFixDiffs(htmlFile, diffs, diffDir);
+        console.log(t("convert.dryRunSkip"));
+        break;
+      }
+      console.log(t("convert.autoFixApplied"));
+    } catch (fixError) {
+      console.log(t("convert.autoFixError", { error: fixError.message }));
+      break;
     }
-  } catch (fixError) {
-    console.log(`  ✗ auto_fix修复过程出错: ${fixError.message}`);
   }
 
+  logFixRounds(rounds);
+
   // 修复失败，返回最后的错误
   return {
     success: false,
     error: lastError,
+    diagnostics: lastDiagnostics,
     method: "failed",
+    rounds,
   };
 }
 
+/**
+ * 输出修复diff，指定 diffDir 时写入 <文件名>.<修复器>.diff
+ */
+function reportFixDiffs(htmlFile, diffs, diffDir) {
+  const baseName = path.basename(htmlFile, ".html");
+
+  if (diffDir) {
+    fs.mkdirSync(diffDir, { recursive: true });
+  }
+
+  diffs.forEach(({ fixer, description, diff }) => {
+    if (diffDir) {
+      const diffFile = path.join(diffDir, `${baseName}.${fixer}.diff`);
+      fs.writeFileSync(diffFile, diff, "utf-8");
+      console.log(t("convert.diffWritten", { fixer, file: diffFile }));
+      return;
+    }
+    console.log(t("convert.diffHeader", { fixer, description }));
+    console.log(diff);
+  });
+}
+
+/**
+ * 输出每一轮运行的修复器
+ */
+function logFixRounds(rounds) {
+  if (rounds.length === 0) {
+    return;
+  }
+  console.log(t("convert.fixRounds"));
+  rounds.forEach(({ round, fixers }) => {
+    console.log(t("convert.fixRound", { round, fixers: fixers.join(", ") }));
+  });
+}
+
+/**
+ * 获取幻灯片的图表数据，并关闭html2pptx保留的页面
+ */
+async function collectSlideCharts(htmlFile, page, indent) {
+  try {
+    let chartsData = [];
+
+    // 默认尝试加载对应的图表JSON文件
+    const chartsFile = htmlFile.replace(".html", ".charts.json");
+    chartsData = loadChartsData(chartsFile);
+
+    if (chartsData.length > 0) {
+      console.log(
+        t("convert.chartsLoaded", { indent, count: chartsData.length })
+      );
+    }
+    // 如果没有JSON文件且页面可用，从已加载的页面截取
+    else if (page) {
+      console.log(t("convert.capturingCharts", { indent }));
+      chartsData = await captureCanvasCharts(page);
+      if (chartsData.length > 0) {
+        console.log(
+          t("convert.chartsCaptured", { indent, count: chartsData.length })
+        );
+      }
+    }
+
+    return chartsData;
+  } finally {
+    if (page) {
+      await page.close();
+    }
+  }
+}
+
+/**
+ * 以有限并发处理列表，结果顺序与输入顺序一致
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from(
+    { length: Math.min(concurrency, items.length) },
+    async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await worker(items[index], index);
+      }
+    }
+  );
+
+  await Promise.all(runners);
+  return results;
+}
+
+// 并发转换时每个文件的日志缓冲区
+const logBuffers = new AsyncLocalStorage();
+const BUFFERED_CONSOLE_METHODS = ["log", "warn", "error"];
+
+/**
+ * 让 console 输出写入当前文件的缓冲区（不在缓冲上下文中时直接输出）
+ * 返回恢复原 console 方法的函数
+ */
+function installLogBuffering() {
+  const originals = {};
+  BUFFERED_CONSOLE_METHODS.forEach((method) => {
+    const write = console[method];
+    originals[method] = write;
+    console[method] = (...args) => {
+      const buffer = logBuffers.getStore();
+      if (buffer) {
+        buffer.push([write, args]);
+      } else {
+        write(...args);
+      }
+    };
+  });
+  return () => Object.assign(console, originals);
+}
+
+/**
+ * 在独立的日志缓冲区中执行，结束后一次性输出，避免并发文件的日志交错
+ */
+async function withBufferedLogs(run) {
+  const buffer = [];
+  try {
+    return await logBuffers.run(buffer, run);
+  } finally {
+    buffer.forEach(([write, args]) => write(...args));
+  }
+}
+
+/**
+ * 启动在整个转换过程中共享的浏览器
+ */
+async function launchSharedBrowser() {
+  if (!chromium) {
+    console.log(t("convert.playwrightMissing"));
+    return null;
+  }
+  return html2pptx.launchBrowser();
+}
+
+/**
+ * 默认工作目录：输出文件旁的 <输出文件名>_work
+ */
+function getDefaultWorkDir(outputFile) {
+  const outputName = path.basename(outputFile, path.extname(outputFile));
+  return path.join(path.dirname(outputFile), `${outputName}_work`);
+}
+
+/**
+ * 将HTML文件复制到工作目录，返回副本路径
+ * 副本中插入指向原目录的 <base>，使相对路径的图片、样式表等资源仍从原位置加载
+ */
+function createWorkingCopy(htmlFile, workDir) {
+  const sourceFile = path.resolve(htmlFile);
+  const workFile = path.resolve(workDir, path.basename(htmlFile));
+  if (workFile === sourceFile) {
+    throw new Error(t("convert.workDirIsSource", { dir: workDir }));
+  }
+
+  const baseHref = pathToFileURL(path.dirname(sourceFile) + path.sep).href;
+  let html = fs.readFileSync(sourceFile, "utf-8");
+
+  const baseTag = /(<base\b[^>]*?\shref\s*=\s*)(["'])(.*?)\2([^>]*>)/i;
+  if (baseTag.test(html)) {
+    // 已有 <base> 时，将其相对地址解析为相对原目录的绝对地址（只替换 href 的值）
+    html = html.replace(
+      baseTag,
+      (tag, start, quote, href, end) =>
+        `${start}${quote}${new URL(href, baseHref).href}${quote}${end}`
+    );
+  } else if (/<head\b[^>]*>/i.test(html)) {
+    html = html.replace(
+      /<head\b[^>]*>/i,
+      (head) => `${head}\n    <base href="${baseHref}">`
+    );
+  } else {
+    html = `<base href="${baseHref}">\n${html}`;
+  }
+
+  // 新副本的修复历史从头记录
+  clearBackups(workFile);
+  fs.mkdirSync(path.dirname(workFile), { recursive: true });
+  fs.writeFileSync(workFile, html, "utf-8");
+  return workFile;
+}
+
+/**
+ * 将HTML文件或文件夹中的HTML文件恢复到备份记录的状态
+ * to 为 "original"（默认）或备份id；list 为 true 时只列出备份历史
+ */
+function restoreFromBackups(target, to = "original", list = false) {
+  const htmlFiles = fs.statSync(target).isDirectory()
+    ? fs
+        .readdirSync(target)
+        .filter((file) => file.endsWith(".html"))
+        .sort()
+        .map((file) => path.join(target, file))
+    : [target];
+
+  let restored = 0;
+  for (const htmlFile of htmlFiles) {
+    const fileName = path.basename(htmlFile);
+    const history = listBackups(htmlFile);
+    if (history.length === 0) {
+      console.log(t("convert.noBackups", { file: fileName }));
+      continue;
+    }
+
+    if (list) {
+      console.log(`${fileName}:`);
+      history.forEach((entry) => {
+        const fixers = entry.fixers.map((item) => item.fixer).join(", ");
+        console.log(t("convert.backupEntry", { id: entry.id, fixers }));
+      });
+      continue;
+    }
+
+    const entry = restoreHtml(htmlFile, to);
+    if (!entry) {
+      console.log(t("convert.noBackupAfter", { file: fileName, id: to }));
+      continue;
+    }
+    console.log(
+      to === "original"
+        ? t("convert.restoredOriginal", { file: fileName })
+        : t("convert.restored", { file: fileName, id: entry.id })
+    );
+    restored++;
+  }
+
+  return list || restored > 0;
+}
+
 /**
  * 转换单个HTML文件为PPTX
  */
-async function convertSingleFile(htmlFile, outputFile) {
-  console.log(`\n开始转换文件: ${htmlFile}`);
+async function convertSingleFile(htmlFile, outputFile, options = {}) {
+  const {
+    maxFixRounds = 3,
+    dryRun = false,
+    diffDir = null,
+    workDir = getDefaultWorkDir(outputFile),
+    imageDpi,
+    svgMode,
+    iconFonts,
+  } = options;
+
+  console.log(t("convert.startFile", { file: htmlFile }));
+  console.log(t("convert.workDir", { dir: workDir }));
+  const workFile = createWorkingCopy(htmlFile, workDir);
 
   const pptx = new pptxgen();
 
@@ -202,53 +880,60 @@ async function convertSingleFile(htmlFile, outputFile) {
 
   pptx.layout = "CUSTOM_1600x900";
 
-  // 尝试转换（包含auto_fix）
-  const convertResult = await tryConvertWithAutoFix(htmlFile, pptx);
-
-  if (!convertResult.success) {
-    console.error(`✗ 转换失败: ${convertResult.error}`);
-    return false;
-  }
+  const browser = await launchSharedBrowser();
 
-  const {
-    result: { slide, placeholders },
-    method,
-  } = convertResult;
-  console.log(`✓ 成功转换 (方法: ${method}): ${htmlFile}`);
+  try {
+    // 尝试转换（包含auto_fix）
+    const convertResult = await tryConvertWithAutoFix(
+      workFile,
+      pptx,
+      { browser, keepPage: true, imageDpi, svgMode, iconFonts },
+      { maxRounds: maxFixRounds, dryRun, diffDir }
+    );
+
+    if (!convertResult.success) {
+      console.error(t("convert.fileFailed", { error: convertResult.error }));
+      return false;
+    }
 
-  let chartsData = [];
+    const { result, method } = convertResult;
+    console.log(t("convert.fileConverted", { method, file: htmlFile }));
 
-  // 默认尝试加载对应的图表JSON文件
-  const chartsFile = htmlFile.replace(".html", ".charts.json");
-  chartsData = loadChartsData(chartsFile);
+    const chartsData = await collectSlideCharts(htmlFile, result.page, "  ");
+    const { slide, placeholders } = await html2pptx.renderSlide(result, pptx);
 
-  if (chartsData.length > 0) {
-    console.log(`  从文件加载 ${chartsData.length} 个图表`);
-  }
-  // 如果没有JSON文件且支持Playwright，尝试实时截取
-  else if (chromium) {
-    console.log(`  正在截取图表...`);
-    chartsData = await captureCanvasCharts(htmlFile);
+    // 插入图表
     if (chartsData.length > 0) {
-      console.log(`  截取到 ${chartsData.length} 个图表`);
+      insertChartsToSlide(slide, chartsData, placeholders);
+    }
+  } finally {
+    if (browser) {
+      await browser.close();
     }
   }
 
-  // 插入图表
-  if (chartsData.length > 0) {
-    insertChartsToSlide(slide, chartsData, placeholders);
-  }
-
-  await pptx.writeFile({ fileName: outputFile });
-  console.log(`\n✓ PPTX 文件已保存: ${outputFile}`);
+  await html2pptx.writePresentation(pptx, outputFile, { imageDpi });
+  console.log(t("convert.pptxSaved", { file: outputFile }));
 
   return true;
 }
 
 /**
  * 转换文件夹中所有HTML文件为一个PPTX
+ * concurrency > 1 时并行渲染和提取，幻灯片仍按文件名顺序添加
  */
-async function convertFolder(folderPath, outputFile) {
+async function convertFolder(folderPath, outputFile, options = {}) {
+  const {
+    concurrency = 1,
+    maxFixRounds = 3,
+    dryRun = false,
+    diffDir = null,
+    workDir = getDefaultWorkDir(outputFile),
+    imageDpi,
+    svgMode,
+    iconFonts,
+  } = options;
+
   const htmlFiles = fs
     .readdirSync(folderPath)
     .filter(
@@ -261,11 +946,11 @@ async function convertFolder(folderPath, outputFile) {
     .map((file) => path.join(folderPath, file));
 
   if (htmlFiles.length === 0) {
-    console.error(`✗ 文件夹 "${folderPath}" 中没有找到HTML文件`);
+    console.error(t("convert.noHtmlFiles", { folder: folderPath }));
     process.exit(1);
   }
 
-  console.log(`\n找到 ${htmlFiles.length} 个HTML文件:`);
+  console.log(t("convert.foundHtmlFiles", { count: htmlFiles.length }));
   htmlFiles.forEach((file, index) => {
     console.log(`  ${index + 1}. ${path.basename(file)}`);
   });
@@ -286,7 +971,7 @@ async function convertFolder(folderPath, outputFile) {
 
   pptx.layout = "CUSTOM_1600x900";
 
-  console.log("\n开始转换...\n");
+  console.log(t("convert.startFolder"));
 
   const results = {
     success: 0,
@@ -296,82 +981,139 @@ async function convertFolder(folderPath, outputFile) {
     failedFiles: [],
   };
 
-  for (let i = 0; i < htmlFiles.length; i++) {
-    const htmlFile = htmlFiles[i];
-    const fileName = path.basename(htmlFile);
+  // 所有幻灯片共享同一个浏览器，结束时统一关闭
+  const browser = await launchSharedBrowser();
 
-    console.log(`[${i + 1}/${htmlFiles.length}] ${fileName}`);
+  console.log(t("convert.workDir", { dir: workDir }));
+  if (concurrency > 1) {
+    console.log(t("convert.concurrency", { concurrency }));
+  }
 
-    // 尝试转换（包含auto_fix）
-    const convertResult = await tryConvertWithAutoFix(htmlFile, pptx);
-
-    if (convertResult.success) {
-      const {
-        result: { slide, placeholders },
-        method,
-      } = convertResult;
-      results.success++;
-
-      if (method === "direct") {
-        results.direct++;
-      } else if (method === "auto_fix") {
-        results.autoFixed++;
-      }
+  // 并发时按文件缓冲日志，每个文件处理完成后整体输出
+  const restoreConsole = concurrency > 1 ? installLogBuffering() : null;
 
-      let chartsData = [];
+  try {
+    // 第一阶段：并行渲染、提取和修复（包含auto_fix）
+    const outcomes = await mapWithConcurrency(
+      htmlFiles,
+      concurrency,
+      (htmlFile, i) =>
+        withBufferedLogs(async () => {
+          const fileName = path.basename(htmlFile);
+
+          console.log(`[${i + 1}/${htmlFiles.length}] ${fileName}`);
+
+          // 单个文件的异常只记为该文件失败，不中断整个文件夹
+          try {
+            // 尝试转换（包含auto_fix），修复只作用于工作目录中的副本
+            const workFile = createWorkingCopy(htmlFile, workDir);
+            const convertResult = await tryConvertWithAutoFix(
+              workFile,
+              pptx,
+              { browser, keepPage: true, imageDpi, svgMode, iconFonts },
+              { maxRounds: maxFixRounds, dryRun, diffDir }
+            );
+
+            if (!convertResult.success) {
+              console.error(t("convert.finalFailed", { file: fileName }));
+              console.log(t("convert.skipFile"));
+              console.log("");
+              return convertResult;
+            }
+
+            const chartsData = await collectSlideCharts(
+              htmlFile,
+              convertResult.result.page,
+              "    "
+            );
+            console.log("");
+            return { ...convertResult, chartsData };
+          } catch (error) {
+            console.error(
+              t("convert.folderFileFailed", {
+                file: fileName,
+                error: error.message,
+              })
+            );
+            console.log(t("convert.skipFile"));
+            console.log("");
+            return { success: false, error: error.message };
+          }
+        })
+    );
+
+    // 第二阶段：按文件顺序添加幻灯片
+    for (let i = 0; i < htmlFiles.length; i++) {
+      const fileName = path.basename(htmlFiles[i]);
+      const convertResult = outcomes[i];
+
+      if (convertResult.success) {
+        const { result, method, chartsData } = convertResult;
+
+        try {
+          const { slide, placeholders } = await html2pptx.renderSlide(
+            result,
+            pptx
+          );
+
+          // 插入图表
+          if (chartsData.length > 0) {
+            insertChartsToSlide(slide, chartsData, placeholders);
+          }
+        } catch (error) {
+          console.error(
+            t("convert.addSlideFailed", {
+              file: fileName,
+              error: error.message,
+            })
+          );
+          results.failed++;
+          results.failedFiles.push({ name: fileName, error: error.message });
+          continue;
+        }
 
-      // 默认尝试加载对应的图表JSON文件
-      const chartsFile = htmlFile.replace(".html", ".charts.json");
-      chartsData = loadChartsData(chartsFile);
+        results.success++;
 
-      if (chartsData.length > 0) {
-        console.log(`    从文件加载 ${chartsData.length} 个图表`);
-      }
-      // 如果没有JSON文件且支持Playwright，尝试实时截取
-      else if (chromium) {
-        console.log(`    正在截取图表...`);
-        chartsData = await captureCanvasCharts(htmlFile);
-        if (chartsData.length > 0) {
-          console.log(`    截取到 ${chartsData.length} 个图表`);
+        if (method === "direct") {
+          results.direct++;
+        } else if (method === "auto_fix") {
+          results.autoFixed++;
         }
+      } else {
+        results.failed++;
+        results.failedFiles.push({
+          name: fileName,
+          error: convertResult.error,
+        });
       }
-
-      // 插入图表
-      if (chartsData.length > 0) {
-        insertChartsToSlide(slide, chartsData, placeholders);
-      }
-    } else {
-      console.error(`  ✗ 最终转换失败`);
-      results.failed++;
-      results.failedFiles.push({
-        name: fileName,
-        error: convertResult.error,
-      });
-
-      console.log(`    ⏭️  跳过此文件，继续处理下一个...`);
     }
-
-    console.log("");
+  } finally {
+    if (restoreConsole) {
+      restoreConsole();
+    }
+    if (browser) {
+      await browser.close();
+    }
   }
 
   // 只有成功转换至少一个文件才生成PPTX
   if (results.success > 0) {
-    await pptx.writeFile({ fileName: outputFile });
-    console.log(`\n✓ PPTX文件已保存: ${outputFile}`);
-    console.log(`  包含幻灯片: ${results.success} 张`);
-    console.log(`  直接转换成功: ${results.direct} 个`);
-    console.log(`  auto_fix修复后成功: ${results.autoFixed} 个`);
+    await html2pptx.writePresentation(pptx, outputFile, { imageDpi });
+    console.log(t("convert.summarySaved", { file: outputFile }));
+    console.log(t("convert.summarySlides", { count: results.success }));
+    console.log(t("convert.summaryDirect", { count: results.direct }));
+    console.log(t("convert.summaryAutoFixed", { count: results.autoFixed }));
 
     if (results.failed > 0) {
-      console.log(`  跳过文件: ${results.failed} 个`);
-      console.log(`\n⚠️  跳过的文件详情:`);
+      console.log(t("convert.summarySkipped", { count: results.failed }));
+      console.log(t("convert.skippedDetails"));
       results.failedFiles.forEach((file) => {
         console.log(`    • ${file.name}: ${file.error}`);
       });
     }
   } else {
-    console.error(`\n✗ 所有文件转换失败，无法生成PPTX`);
-    console.log(`\n失败文件详情:`);
+    console.error(t("convert.allFailed"));
+    console.log(t("convert.failedDetails"));
     results.failedFiles.forEach((file) => {
       console.log(`  • ${file.name}: ${file.error}`);
     });
@@ -390,6 +1132,20 @@ function parseArgs() {
     mode: null,
     input: null,
     output: "output.pptx",
+    concurrency: 1,
+    maxFixRounds: 3,
+    imageDpi: undefined,
+    svgMode: undefined,
+    iconFonts: undefined,
+    dryRun: false,
+    diffDir: null,
+    workDir: null,
+    restoreTo: "original",
+    listBackups: false,
+    fixerConfig: null,
+    fixerPlugins: null,
+    enableFixers: [],
+    disableFixers: [],
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -404,6 +1160,85 @@ function parseArgs() {
     } else if (args[i] === "--output" && args[i + 1]) {
       options.output = args[i + 1];
       i++;
+    } else if (args[i] === "--concurrency" && args[i + 1]) {
+      const concurrency = parseInt(args[i + 1], 10);
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        console.error(t("convert.invalidConcurrency", { value: args[i + 1] }));
+        process.exit(1);
+      }
+      options.concurrency = concurrency;
+      i++;
+    } else if (args[i] === "--max-fix-rounds" && args[i + 1]) {
+      const maxFixRounds = parseInt(args[i + 1], 10);
+      if (!Number.isInteger(maxFixRounds) || maxFixRounds < 0) {
+        console.error(t("convert.invalidMaxFixRounds", { value: args[i + 1] }));
+        process.exit(1);
+      }
+      options.maxFixRounds = maxFixRounds;
+      i++;
+    } else if (args[i] === "--image-dpi" && args[i + 1]) {
+      const imageDpi = parseInt(args[i + 1], 10);
+      if (!Number.isInteger(imageDpi) || imageDpi < 1) {
+        console.error(t("convert.invalidImageDpi", { value: args[i + 1] }));
+        process.exit(1);
+      }
+      options.imageDpi = imageDpi;
+      i++;
+    } else if (args[i] === "--svg-mode" && args[i + 1]) {
+      if (!["png", "native"].includes(args[i + 1])) {
+        console.error(t("convert.invalidSvgMode", { value: args[i + 1] }));
+        process.exit(1);
+      }
+      options.svgMode = args[i + 1];
+      i++;
+    } else if (args[i] === "--icon-fonts" && args[i + 1]) {
+      options.iconFonts = args[i + 1]
+        .split(",")
+        .map((font) => font.trim())
+        .filter(Boolean);
+      i++;
+    } else if (args[i] === "--dry-run") {
+      options.dryRun = true;
+    } else if (args[i] === "--diff-dir" && args[i + 1]) {
+      options.dryRun = true;
+      options.diffDir = args[i + 1];
+      i++;
+    } else if (args[i] === "--restore" && args[i + 1]) {
+      options.mode = "restore";
+      options.input = args[i + 1];
+      i++;
+    } else if (args[i] === "--to" && args[i + 1]) {
+      options.restoreTo = args[i + 1];
+      i++;
+    } else if (args[i] === "--list") {
+      options.listBackups = true;
+    } else if (args[i] === "--fixer-config" && args[i + 1]) {
+      options.fixerConfig = args[i + 1];
+      i++;
+    } else if (args[i] === "--fixer-plugins" && args[i + 1]) {
+      options.fixerPlugins = args[i + 1];
+      i++;
+    } else if (args[i] === "--enable-fixers" && args[i + 1]) {
+      options.enableFixers = args[i + 1].split(",").filter(Boolean);
+      i++;
+    } else if (args[i] === "--disable-fixers" && args[i + 1]) {
+      options.disableFixers = args[i + 1].split(",").filter(Boolean);
+      i++;
+    } else if (args[i] === "--work-dir" && args[i + 1]) {
+      options.workDir = args[i + 1];
+      i++;
+    } else if (args[i] === "--lang" && args[i + 1]) {
+      if (!SUPPORTED_LANGS.includes(args[i + 1])) {
+        console.error(
+          t("convert.invalidLang", {
+            value: args[i + 1],
+            langs: SUPPORTED_LANGS.join("|"),
+          })
+        );
+        process.exit(1);
+      }
+      setLang(args[i + 1]);
+      i++;
     }
   }
 
@@ -418,55 +1253,57 @@ async function main() {
 
   // 显示帮助信息
   if (!options.mode) {
-    console.log(`
-HTML to PPTX 转换工具 (自动图表截取 + 智能修复)
-
-使用方法:
-  转换整个文件夹:
-    node convert.js --folder <文件夹路径> --output <输出文件.pptx>
-
-  转换单个文件:
-    node convert.js --file <HTML文件路径> --output <输出文件.pptx>
-
-示例:
-  node convert.js --folder slides --output merged.pptx
-  node convert.js --file slides/slide_01_cover.html --output single.pptx
-
-参数:
-  --folder         指定包含HTML文件的文件夹路径
-  --file           指定单个HTML文件路径
-  --output         指定输出的PPTX文件名（可选，默认为 output.pptx）
-
-转换策略:
-  ✓ 首先尝试直接转换
-  ✓ 转换失败时自动调用auto_fix修复
-  ✓ 修复后重新尝试转换
-  ✓ 无法修复的文件自动跳过
-  ✓ 显示详细的转换统计信息
-
-图表功能:
-  ✓ 默认启用图表截取功能
-  ✓ 自动检测Canvas图表元素
-  ✓ 优先使用.charts.json文件，否则实时截取
-  ✓ 支持占位符匹配
-  ✓ 向后兼容，无Playwright时跳过图表
-    `);
+    console.log(t("convert.help"));
     process.exit(0);
   }
 
   // 验证输入路径
   if (!fs.existsSync(options.input)) {
-    console.error(`✗ 路径不存在: ${options.input}`);
+    console.error(t("convert.pathNotFound", { path: options.input }));
     process.exit(1);
   }
 
+  // 配置修复器：配置文件 → 插件目录 → 命令行启用/禁用
+  if (options.fixerConfig) {
+    const config = JSON.parse(fs.readFileSync(options.fixerConfig, "utf-8"));
+    configureFixers(config, path.dirname(path.resolve(options.fixerConfig)));
+  }
+  configureFixers({
+    plugins: options.fixerPlugins,
+    enable: options.enableFixers,
+    disable: options.disableFixers,
+  });
+
   // 执行转换
   let success = false;
 
   if (options.mode === "folder") {
-    success = await convertFolder(options.input, options.output);
+    success = await convertFolder(options.input, options.output, {
+      concurrency: options.concurrency,
+      maxFixRounds: options.maxFixRounds,
+      dryRun: options.dryRun,
+      diffDir: options.diffDir,
+      workDir: options.workDir || undefined,
+      imageDpi: options.imageDpi,
+      svgMode: options.svgMode,
+      iconFonts: options.iconFonts,
+    });
   } else if (options.mode === "file") {
-    success = await convertSingleFile(options.input, options.output);
+    success = await convertSingleFile(options.input, options.output, {
+      maxFixRounds: options.maxFixRounds,
+      dryRun: options.dryRun,
+      diffDir: options.diffDir,
+      workDir: options.workDir || undefined,
+      imageDpi: options.imageDpi,
+      svgMode: options.svgMode,
+      iconFonts: options.iconFonts,
+    });
+  } else if (options.mode === "restore") {
+    success = restoreFromBackups(
+      options.input,
+      options.restoreTo,
+      options.listBackups
+    );
   }
 
   process.exit(success ? 0 : 1);
@@ -474,6 +1311,6 @@ HTML to PPTX 转换工具 (自动图表截取 + 智能修复)
 
 // 运行
 main().catch((error) => {
-  console.error("\n✗ 发生错误:", error.message);
+  console.error(t("convert.fatalError"), error.message);
   process.exit(1);
 });
@@ -0,0 +1,419 @@
+/**
+ * CSS样式编辑层
+ * 供各修复器共用：用 postcss 解析 <style> 和内联 style，按元素精确查找匹配的规则，
+ * 在选择器之间移动声明、添加规则、编辑内联样式；只回写发生变化的样式块，其余内容保持原样。
+ *
+ * 使用说明：
+ *   const styles = new StyleEditor(document);
+ *   for (const { rule } of styles.matchingRules(element)) { ... }
+ *   styles.commit();
+ */
+
+const postcss = require("postcss");
+
+class StyleEditor {
+  constructor(document) {
+    this.document = document;
+    // 浏览器能容忍的语法错误（多余的 }、未闭合的 url( 等）会让 postcss 抛出异常，
+    // 无法解析的样式块不参与查找和修改，保持原样
+    this.sheets = Array.from(document.querySelectorAll("style")).flatMap(
+      (styleElement) => {
+        const root = parseCss(styleElement.textContent);
+        return root ? [{ styleElement, root, changed: false }] : [];
+      }
+    );
+  }
+
+  /**
+   * 元素是否匹配选择器（无效选择器和伪元素选择器视为不匹配）
+   */
+  static matches(element, selector) {
+    try {
+      return element.matches(selector);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * 遍历所有样式规则（包括 @media 等条件规则内的规则，跳过 @keyframes）
+   * callback(rule, sheet)
+   */
+  walkRules(callback) {
+    this.sheets.forEach((sheet) => {
+      sheet.root.walkRules((rule) => {
+        if (
+          rule.parent.type === "atrule" &&
+          /keyframes$/i.test(rule.parent.name)
+        ) {
+          return;
+        }
+        callback(rule, sheet);
+      });
+    });
+  }
+
+  /**
+   * 查找匹配元素的规则（按样式表中的先后顺序）
+   * @returns {Array} [{ rule, sheet, selector }]，selector 为规则中匹配该元素的那一个选择器
+   */
+  matchingRules(element) {
+    const matches = [];
+    this.walkRules((rule, sheet) => {
+      const selector = rule.selectors.find((item) =>
+        StyleEditor.matches(element, item)
+      );
+      if (selector) {
+        matches.push({ rule, sheet, selector });
+      }
+    });
+    return matches;
+  }
+
+  /**
+   * 按层叠顺序（!important、内联样式、选择器优先级、先后顺序）返回作用于元素的声明，后面的覆盖前面的
+   * @returns {Array} [{ decl, rule }]，内联声明的 rule 为 null
+   */
+  cascadedDeclarations(element, predicate = () => true) {
+    const entries = [];
+    this.matchingRules(element).forEach(({ rule, selector }) => {
+      this.getDeclarations(rule, predicate).forEach((decl) => {
+        entries.push({ decl, rule, specificity: specificity(selector) });
+      });
+    });
+    this.getInlineDeclarations(element, predicate).forEach((decl) => {
+      entries.push({ decl, rule: null, specificity: [0, 0, 0] });
+    });
+
+    const compare = (a, b) =>
+      Number(a.decl.important) - Number(b.decl.important) ||
+      Number(a.rule === null) - Number(b.rule === null) ||
+      a.specificity[0] - b.specificity[0] ||
+      a.specificity[1] - b.specificity[1] ||
+      a.specificity[2] - b.specificity[2];
+    return entries
+      .map((entry, order) => ({ ...entry, order }))
+      .sort((a, b) => compare(a, b) || a.order - b.order)
+      .map(({ decl, rule }) => ({ decl, rule }));
+  }
+
+  /**
+   * 元素上某个属性的声明值（未声明时返回 null，不考虑继承）
+   */
+  declaredValue(element, prop) {
+    const entries = this.cascadedDeclarations(
+      element,
+      (decl) => decl.prop === prop
+    );
+    return entries.length > 0 ? entries[entries.length - 1].decl.value : null;
+  }
+
+  /**
+   * 元素上 margin/padding 各边的声明值（按层叠顺序合并简写和单边属性）
+   * @returns {Object} { top, right, bottom, left }，每边为 { value, important } 或 null
+   */
+  boxSides(element, property) {
+    const sides = { top: null, right: null, bottom: null, left: null };
+    const isBoxDeclaration = (decl) =>
+      decl.prop === property || decl.prop.startsWith(`${property}-`);
+    this.cascadedDeclarations(element, isBoxDeclaration).forEach(({ decl }) => {
+      Object.entries(expandBoxShorthand(decl, property)).forEach(
+        ([side, value]) => {
+          sides[side] = { value, important: decl.important };
+        }
+      );
+    });
+    return sides;
+  }
+
+  /**
+   * 元素的字号（px），沿祖先元素查找 font-size 声明，默认 16px
+   */
+  fontSize(element) {
+    if (!element || element.nodeType !== 1) {
+      return DEFAULT_FONT_SIZE;
+    }
+    const value = this.declaredValue(element, "font-size");
+    const parentSize = this.fontSize(element.parentElement);
+    if (!value) {
+      return parentSize;
+    }
+    const size = parseLength(value, parentSize, parentSize);
+    return size === null ? parentSize : size;
+  }
+
+  /**
+   * 查找规则匹配的所有元素
+   */
+  elementsMatching(rule) {
+    const elements = new Set();
+    rule.selectors.forEach((selector) => {
+      try {
+        this.document
+          .querySelectorAll(selector)
+          .forEach((element) => elements.add(element));
+      } catch (e) {
+        // 无效选择器或伪元素选择器不匹配任何元素
+      }
+    });
+    return [...elements];
+  }
+
+  /**
+   * 获取规则中满足条件的声明
+   */
+  getDeclarations(rule, predicate = () => true) {
+    return rule.nodes.filter((node) => node.type === "decl" && predicate(node));
+  }
+
+  /**
+   * 从规则中取出满足条件的声明（从原规则删除，返回副本）；规则变空时一并删除
+   */
+  takeDeclarations(rule, predicate) {
+    const declarations = this.getDeclarations(rule, predicate);
+    if (declarations.length === 0) {
+      return [];
+    }
+
+    const sheet = this.sheetOf(rule);
+    const taken = declarations.map((decl) => decl.clone());
+    declarations.forEach((decl) => decl.remove());
+    if (!rule.nodes.some((node) => node.type === "decl")) {
+      rule.remove();
+    }
+    sheet.changed = true;
+    return taken;
+  }
+
+  /**
+   * 在规则之后插入新规则（位于同一 @media 等条件规则内），沿用原规则的缩进格式
+   * @returns 新规则
+   */
+  insertRuleAfter(rule, selector, declarations) {
+    const newRule = postcss.rule({ selector, raws: { ...rule.raws } });
+    declarations.forEach((decl) => newRule.append(decl.clone()));
+    rule.after(newRule);
+    this.sheetOf(rule).changed = true;
+    return newRule;
+  }
+
+  /**
+   * 解析元素的内联 style 属性
+   * @returns postcss Root，声明位于根节点下；无法解析时返回 null
+   */
+  parseInlineStyle(element) {
+    return parseCss(element.getAttribute("style") || "");
+  }
+
+  /**
+   * 获取元素内联样式中满足条件的声明
+   */
+  getInlineDeclarations(element, predicate = () => true) {
+    const root = this.parseInlineStyle(element);
+    if (!root) return [];
+    return root.nodes.filter((node) => node.type === "decl" && predicate(node));
+  }
+
+  /**
+   * 编辑元素的内联样式：callback(root) 修改声明后写回，声明为空时删除 style 属性
+   * 内联样式无法解析时保持原样，不调用 callback
+   */
+  editInlineStyle(element, callback) {
+    const root = this.parseInlineStyle(element);
+    if (!root) return;
+    callback(root);
+
+    const declarations = root.nodes.filter((node) => node.type === "decl");
+    if (declarations.length === 0) {
+      element.removeAttribute("style");
+      return;
+    }
+    element.setAttribute("style", serializeInlineStyle(declarations));
+  }
+
+  /**
+   * 从元素内联样式中取出满足条件的声明（返回副本）
+   */
+  takeInlineDeclarations(element, predicate) {
+    let taken = [];
+    this.editInlineStyle(element, (root) => {
+      const declarations = root.nodes.filter(
+        (node) => node.type === "decl" && predicate(node)
+      );
+      taken = declarations.map((decl) => decl.clone());
+      declarations.forEach((decl) => decl.remove());
+    });
+    return taken;
+  }
+
+  /**
+   * 向元素内联样式追加声明（同名属性会被覆盖）
+   */
+  addInlineDeclarations(element, declarations) {
+    this.editInlineStyle(element, (root) => {
+      declarations.forEach((decl) => {
+        root.each((node) => {
+          if (node.type === "decl" && node.prop === decl.prop) node.remove();
+        });
+        root.append(decl.clone());
+      });
+    });
+  }
+
+  /**
+   * 生成文档中未使用的类名
+   */
+  uniqueClassName(base) {
+    const name = base.replace(/[^\w-]/g, "-");
+    let candidate = name;
+    for (let n = 2; this.classNameInUse(candidate); n++) {
+      candidate = `${name}-${n}`;
+    }
+    return candidate;
+  }
+
+  /**
+   * 类名是否已被元素或样式表使用
+   */
+  classNameInUse(className) {
+    if (this.document.getElementsByClassName(className).length > 0) {
+      return true;
+    }
+    let used = false;
+    this.walkRules((rule) => {
+      if (rule.selector.includes(`.${className}`)) used = true;
+    });
+    return used;
+  }
+
+  /**
+   * 规则或声明所在的样式表
+   */
+  sheetOf(node) {
+    return this.sheets.find((sheet) => sheet.root === node.root());
+  }
+
+  /**
+   * 将发生变化的样式表写回 <style>
+   * @returns {number} 写回的样式块数量
+   */
+  commit() {
+    const changed = this.sheets.filter((sheet) => sheet.changed);
+    changed.forEach((sheet) => {
+      sheet.styleElement.textContent = sheet.root.toString();
+      sheet.changed = false;
+    });
+    return changed.length;
+  }
+}
+
+const DEFAULT_FONT_SIZE = 16;
+
+/**
+ * 解析CSS，语法错误时返回 null
+ */
+function parseCss(css) {
+  try {
+    return postcss.parse(css);
+  } catch (e) {
+    if (e.name === "CssSyntaxError") return null;
+    throw e;
+  }
+}
+
+/**
+ * 将声明序列化为内联 style 属性的值
+ */
+function serializeInlineStyle(declarations) {
+  return declarations
+    .map(
+      (decl) =>
+        `${decl.prop}: ${decl.value}${decl.important ? " !important" : ""}`
+    )
+    .join("; ");
+}
+
+/**
+ * 计算选择器优先级 [id, 类/属性/伪类, 标签]
+ */
+function specificity(selector) {
+  const plain = selector
+    .replace(/"[^"]*"|'[^']*'/g, "")
+    .replace(/::[\w-]+/g, "");
+  const ids = (plain.match(/#[\w-]+/g) || []).length;
+  const classes = (plain.match(/\.[\w-]+|\[[^\]]*\]|:[\w-]+/g) || []).length;
+  const types = plain
+    .split(/[\s>+~]+/)
+    .filter((compound) => /^[a-z][\w-]*/i.test(compound)).length;
+  return [ids, classes, types];
+}
+
+/**
+ * 将CSS长度转换为px（支持 px、pt、em、rem、%），无法换算时返回 null
+ * @param {string} value CSS长度
+ * @param {number} fontSize em 的基准字号（px）
+ * @param {number} percentBase % 的基准长度（px），未提供时 % 无法换算
+ */
+function parseLength(value, fontSize = DEFAULT_FONT_SIZE, percentBase) {
+  const match = String(value)
+    .trim()
+    .match(/^(-?[\d.]+)(px|pt|em|rem|%)?$/i);
+  if (!match) {
+    return null;
+  }
+  const number = parseFloat(match[1]);
+  switch ((match[2] || "px").toLowerCase()) {
+    case "px":
+      return number;
+    case "pt":
+      return (number * 96) / 72;
+    case "em":
+      return number * fontSize;
+    case "rem":
+      return number * DEFAULT_FONT_SIZE;
+    case "%":
+      return percentBase === undefined ? null : (number / 100) * percentBase;
+  }
+  return null;
+}
+
+/**
+ * 将 margin/padding 等盒模型声明展开为各边的值
+ * 支持简写（1~4个值）、单边属性和逻辑属性（按从左到右书写方向）
+ * @returns {Object} { top, right, bottom, left } 中被该声明设置的边
+ */
+function expandBoxShorthand(decl, property) {
+  const sides = ["top", "right", "bottom", "left"];
+  if (decl.prop === property) {
+    const values = postcss.list.space(decl.value);
+    const [top, right = top, bottom = top, left = right] = values;
+    return { top, right, bottom, left };
+  }
+
+  const logical = {
+    "inline-start": ["left"],
+    "inline-end": ["right"],
+    "block-start": ["top"],
+    "block-end": ["bottom"],
+    inline: ["left", "right"],
+    block: ["top", "bottom"],
+  };
+  const side = decl.prop.slice(property.length + 1);
+  const targets = sides.includes(side) ? [side] : logical[side];
+  if (!targets) {
+    return {};
+  }
+  const values = postcss.list.space(decl.value);
+  return Object.fromEntries(
+    targets.map((target, index) => [target, values[index] || values[0]])
+  );
+}
+
+module.exports = {
+  StyleEditor,
+  specificity,
+  parseLength,
+  expandBoxShorthand,
+  serializeInlineStyle,
+  DEFAULT_FONT_SIZE,
+};
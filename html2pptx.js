@@ -8,32 +8,164 @@
  *   const { slide, placeholders } = await html2pptx('slide.html', pptx);
  *   slide.addChart(pptx.charts.LINE, data, placeholders[0]);
  *
- *   await pptx.writeFile('output.pptx');
+ *   await html2pptx.writePresentation(pptx, 'output.pptx');  // 多张幻灯片共用的图片只保存一份
+ *   // 转换时渲染的图片写入 options.tmpDir 下该演示文稿的临时目录，writePresentation 写入后删除；
+ *   // 直接调用 pptx.writeFile() 时在进程退出时删除
  *
  * 功能特性：
  *   - 将HTML转换为精确定位的PowerPoint幻灯片
  *   - 支持文本、图像、形状和项目符号列表
+ *   - 将<table>转换为可编辑的原生表格（保留列宽、行高、填充、边框和合并单元格）
  *   - 提取带位置信息的占位符元素（class="placeholder"）
- *   - 处理CSS渐变、边框和边距
+ *   - 将CSS渐变（body背景和DIV形状）渲染为PNG图片
+ *   - 将PowerPoint无法打开的图片（WebP、AVIF、SVG等）转换为PNG/JPEG，
+ *     并按显示尺寸和 options.imageDpi（默认220）缩小过大的图片
+ *   - 将内联<svg>（图标、示意图）转换为图片；options.svgMode 为 'native' 时
+ *     以SVG原样嵌入（附PNG后备图），默认 'png' 渲染为PNG
+ *   - 将图标字体（Font Awesome、Material Icons 等，列表见 options.iconFonts）
+ *     的字形截图为图片，放在原位置，文本中保留相应的空白
+ *   - 将带背景、边框或文本的::before/::after伪元素转换为形状或文本框
+ *   - 处理边框和边距
  *
  * 验证机制：
  *   - 使用HTML中body的宽度/高度设置视口尺寸
  *   - 如果HTML尺寸与演示文稿布局不匹配，则抛出错误
  *   - 如果内容超出body范围（附带溢出详细信息），则抛出错误
+ *   - 抛出的错误带有 error.diagnostics 数组，每项为
+ *     { code, severity, selector, bbox: { x, y, w, h }(px), message, details }，
+ *     code 取值见 html2pptx.DIAGNOSTIC_CODES
+ *   - 错误和日志语言由 options.lang（'zh' | 'en'，默认为 i18n.js 的当前语言）决定，
+ *     修复器应依据 code 而非 message 判断错误类型
+ *
+ * 共享浏览器：
+ *   const browser = await html2pptx.launchBrowser();
+ *   const { slide, page } = await html2pptx('slide.html', pptx, { browser, keepPage: true });
+ *   // ... 复用已加载的 page（如截取图表），用完后 page.close()
+ *   await browser.close();
  *
  * 返回结果：
  *   { slide, placeholders }，其中placeholders为包含{ id, x, y, w, h }的数组
+ *   传入 browser 且 keepPage 为 true 时，额外返回已加载的 page，由调用方负责关闭
+ *
+ * 分阶段转换（多个幻灯片并行提取，按顺序添加）：
+ *   const prepared = await html2pptx.prepareSlide('slide.html', pptx, { browser });
+ *   const { slide } = await html2pptx.renderSlide(prepared, pptx);
  */
 
 const { chromium } = require("playwright");
+const crypto = require("crypto");
+const fs = require("fs");
 const path = require("path");
+const { fileURLToPath } = require("url");
 const sharp = require("sharp");
 const axios = require("axios"); // 引入 axios
+const JSZip = require("jszip");
+const { t, getLang } = require("./i18n.js");
 
 const PT_PER_PX = 0.75;
 const PX_PER_IN = 96;
 const EMU_PER_IN = 914400;
 
+// Images are downsampled to their displayed size at this resolution
+const DEFAULT_IMAGE_DPI = 220;
+// Formats embedded as-is; anything else (WebP, AVIF, SVG, TIFF...) is converted
+const SUPPORTED_IMAGE_FORMATS = ["png", "jpeg", "gif"];
+const JPEG_QUALITY = 85;
+
+// Font families (matched case-insensitively as substrings of the first family)
+// whose glyphs are captured as images instead of text
+const DEFAULT_ICON_FONTS = [
+  "Font Awesome",
+  "FontAwesome",
+  "Material Icons",
+  "Material Symbols",
+  "bootstrap-icons",
+  "remixicon",
+  "Ionicons",
+  "icomoon",
+];
+// Marks icon elements in the page so they can be captured after extraction
+const ICON_ATTR = "data-html2pptx-icon";
+// Marks elements whose ::before/::after ("before"/"after") draws an icon glyph
+const ICON_PSEUDO_ATTR = `${ICON_ATTR}-pseudo`;
+
+// Stable codes for validation diagnostics (error.diagnostics[].code)
+const DIAGNOSTIC_CODES = Object.freeze({
+  BODY_OVERFLOW: "BODY_OVERFLOW",
+  DIMENSION_MISMATCH: "DIMENSION_MISMATCH",
+  TEXT_NEAR_BOTTOM: "TEXT_NEAR_BOTTOM",
+  TEXT_ELEMENT_STYLE: "TEXT_ELEMENT_STYLE",
+  INLINE_MARGIN: "INLINE_MARGIN",
+  PLACEHOLDER_ZERO_SIZE: "PLACEHOLDER_ZERO_SIZE",
+  UNWRAPPED_TEXT: "UNWRAPPED_TEXT",
+  DIV_BACKGROUND_IMAGE: "DIV_BACKGROUND_IMAGE",
+  MANUAL_BULLET: "MANUAL_BULLET",
+});
+
+// Helper: Build a validation diagnostic
+// bbox is in CSS pixels relative to the slide, selector is a CSS selector path.
+// The message is rendered later by formatDiagnostic() in the requested language.
+function createDiagnostic(code, extra = {}) {
+  return {
+    code,
+    severity: "error",
+    selector: null,
+    bbox: null,
+    details: {},
+    ...extra,
+  };
+}
+
+// Helper: Render the localized message of a diagnostic from its code and details
+function formatDiagnostic(diagnostic, lang) {
+  const { code, details = {} } = diagnostic;
+  const key = `diag.${code}`;
+  const truncate = (text, max) =>
+    text.substring(0, max) + (text.length > max ? "..." : "");
+
+  switch (code) {
+    case DIAGNOSTIC_CODES.BODY_OVERFLOW: {
+      const directions = [];
+      if (details.widthOverflowPx > 0) {
+        directions.push(
+          t(`${key}.horizontal`, { px: details.widthOverflowPx }, lang)
+        );
+      }
+      if (details.heightOverflowPx > 0) {
+        directions.push(
+          t(`${key}.vertical`, { px: details.heightOverflowPx }, lang)
+        );
+      }
+      return t(
+        key,
+        {
+          width: details.width,
+          height: details.height,
+          directions: directions.join(t(`${key}.join`, {}, lang)),
+          reminder:
+            details.heightOverflowPx > 0 ? t(`${key}.reminder`, {}, lang) : "",
+        },
+        lang
+      );
+    }
+    case DIAGNOSTIC_CODES.TEXT_ELEMENT_STYLE:
+      return t(
+        key,
+        { ...details, style: t(`style.${details.style}`, {}, lang) },
+        lang
+      );
+    case DIAGNOSTIC_CODES.PLACEHOLDER_ZERO_SIZE:
+      return t(key, { id: details.id || t("unnamed", {}, lang) }, lang);
+    case DIAGNOSTIC_CODES.UNWRAPPED_TEXT:
+    case DIAGNOSTIC_CODES.TEXT_NEAR_BOTTOM:
+      return t(key, { ...details, text: truncate(details.text, 50) }, lang);
+    case DIAGNOSTIC_CODES.MANUAL_BULLET:
+      return t(key, { ...details, text: details.text.substring(0, 20) }, lang);
+    default:
+      return t(key, details, lang);
+  }
+}
+
 // Helper: Get body dimensions and check for overflow
 async function getBodyDimensions(page) {
   const bodyDimensions = await page.evaluate(() => {
@@ -61,22 +193,24 @@ async function getBodyDimensions(page) {
   const widthOverflowPt = widthOverflowPx * PT_PER_PX;
   const heightOverflowPt = heightOverflowPx * PT_PER_PX;
 
-  // 英文日志和报错全部替换为中文
   // 1. getBodyDimensions 内 overflow 报错
   if (widthOverflowPt > 0 || heightOverflowPt > 0) {
-    const directions = [];
-    //    if (widthOverflowPt > 0) directions.push(`${widthOverflowPt.toFixed(1)}pt 水平方向`);
-    //    if (heightOverflowPt > 0) directions.push(`${heightOverflowPt.toFixed(1)}pt 垂直方向`);
-    if (widthOverflowPx > 0) directions.push(`${widthOverflowPx}px 水平方向`);
-    if (heightOverflowPx > 0) directions.push(`${heightOverflowPx}px 垂直方向`);
-    const reminder =
-      heightOverflowPt > 0
-        ? "（注意：幻灯片底部需预留 48px(0.5 英寸)边距）"
-        : "";
     errors.push(
-      `HTML 内容超出 body 区域（${bodyDimensions.width}x${
-        bodyDimensions.height
-      }）：${directions.join(" 和 ")}${reminder} `
+      createDiagnostic(DIAGNOSTIC_CODES.BODY_OVERFLOW, {
+        selector: "body",
+        bbox: {
+          x: 0,
+          y: 0,
+          w: bodyDimensions.scrollWidth,
+          h: bodyDimensions.scrollHeight,
+        },
+        details: {
+          width: bodyDimensions.width,
+          height: bodyDimensions.height,
+          widthOverflowPx,
+          heightOverflowPx,
+        },
+      })
     );
   }
 
@@ -104,7 +238,11 @@ function validateDimensions(bodyDimensions, pres) {
       const layoutHeightPx = Math.round(layoutHeight * PX_PER_IN);
 
       errors.push(
-        `HTML 尺寸（${htmlWidthPx}px × ${htmlHeightPx}px）与 PPT 布局（${layoutWidthPx}px × ${layoutHeightPx}px）不匹配`
+        createDiagnostic(DIAGNOSTIC_CODES.DIMENSION_MISMATCH, {
+          selector: "body",
+          bbox: { x: 0, y: 0, w: htmlWidthPx, h: htmlHeightPx },
+          details: { htmlWidthPx, htmlHeightPx, layoutWidthPx, layoutHeightPx },
+        })
       );
     }
   }
@@ -132,14 +270,22 @@ function validateTextBoxPosition(slideData, bodyDimensions) {
             return el.items.find((item) => item.text)?.text || "";
           return "";
         };
-        const textPrefix =
-          getText().substring(0, 50) + (getText().length > 50 ? "..." : "");
-
         // 3. validateTextBoxPosition 内文本框过近底部
         errors.push(
-          `文本框"${textPrefix}"距离底部过近（${Math.round(
-            distanceFromBottomPx
-          )}px，至少需 ${minBottomMarginPx}px）`
+          createDiagnostic(DIAGNOSTIC_CODES.TEXT_NEAR_BOTTOM, {
+            selector: el.selector || null,
+            bbox: {
+              x: el.position.x * PX_PER_IN,
+              y: el.position.y * PX_PER_IN,
+              w: el.position.w * PX_PER_IN,
+              h: el.position.h * PX_PER_IN,
+            },
+            details: {
+              text: getText(),
+              distanceFromBottomPx: Math.round(distanceFromBottomPx),
+              minBottomMarginPx,
+            },
+          })
         );
       }
     }
@@ -163,12 +309,512 @@ async function addBackground(slideData, targetSlide, tmpDir) {
   }
 }
 
+// Helper: Render CSS gradients (body background and DIV shapes) to PNG files
+async function rasterizeGradients(slideData, browser, tmpDir, lang) {
+  const targets = slideData.elements.filter(
+    (el) => el.type === "image" && el.gradient
+  );
+  if (slideData.background.type === "gradient") {
+    targets.unshift(slideData.background);
+  }
+  if (targets.length === 0) return;
+
+  // Render at 2x so the image stays sharp when the slide is scaled up
+  const page = await browser.newPage({ deviceScaleFactor: 2 });
+  try {
+    for (let i = 0; i < targets.length; i++) {
+      const target = targets[i];
+      const { width, height, ...style } = target.gradient;
+      const w = Math.max(1, Math.ceil(width));
+      const h = Math.max(1, Math.ceil(height));
+
+      try {
+        await page.setViewportSize({ width: w, height: h });
+        await page.setContent(
+          '<html><body style="margin:0;background:transparent"><div></div></body></html>'
+        );
+        await page.evaluate(
+          ({ style, w, h }) => {
+            const div = document.querySelector("div");
+            Object.assign(div.style, style, {
+              width: `${w}px`,
+              height: `${h}px`,
+            });
+          },
+          { style, w, h }
+        );
+
+        const buffer = await page.screenshot({
+          omitBackground: true,
+          clip: { x: 0, y: 0, width: w, height: h },
+        });
+        const pngPath = path.join(
+          tmpDir,
+          `html2pptx-gradient-${process.pid}-${Date.now()}-${i}.png`
+        );
+        await sharp(buffer).png().toFile(pngPath);
+
+        if (target === slideData.background) {
+          slideData.background = { type: "image", path: pngPath };
+        } else {
+          target.src = pngPath;
+        }
+      } catch (error) {
+        console.warn(
+          t(
+            "html2pptx.gradientFailed",
+            { gradient: style.backgroundImage, error: error.message },
+            lang
+          )
+        );
+        if (target === slideData.background) {
+          // Fall back to the plain background color
+          slideData.background = { type: "color", value: target.value };
+        } else {
+          target.skip = true;
+        }
+      }
+    }
+  } finally {
+    await page.close();
+  }
+}
+
+// Helper: Screenshot icon font glyphs tagged during extraction. The slide page
+// is already rendered at the image DPI (see prepareSlide); everything but the
+// icons is hidden while capturing, so each capture holds only the glyph (and
+// the icon element's or pseudo-element's own box styles)
+async function captureIcons(slideData, page, options) {
+  const { tmpDir, lang } = options;
+  const targets = slideData.elements.filter(
+    (el) => el.type === "image" && el.icon !== undefined
+  );
+  if (targets.length === 0) return;
+
+  const hideStyle = await page.addStyleTag({
+    content:
+      "html, body { background: transparent !important; } " +
+      "body * { visibility: hidden !important; } " +
+      `[${ICON_ATTR}], [${ICON_ATTR}] *, ` +
+      `[${ICON_PSEUDO_ATTR}~="before"]::before, ` +
+      `[${ICON_PSEUDO_ATTR}~="after"]::after { visibility: visible !important; }`,
+  });
+  try {
+    await page.evaluate(() => document.fonts.ready);
+
+    for (const target of targets) {
+      try {
+        const { x, y, w, h } = target.position;
+        const buffer = await page.screenshot({
+          clip: {
+            x: x * PX_PER_IN,
+            y: y * PX_PER_IN,
+            width: w * PX_PER_IN,
+            height: h * PX_PER_IN,
+          },
+          omitBackground: true,
+        });
+        const pngPath = path.join(
+          tmpDir,
+          `html2pptx-icon-${process.pid}-${Date.now()}-${target.icon}.png`
+        );
+        fs.writeFileSync(pngPath, buffer);
+        target.src = pngPath;
+      } catch (error) {
+        console.warn(t("html2pptx.iconFailed", { error: error.message }, lang));
+        target.skip = true;
+      }
+    }
+  } finally {
+    await hideStyle.evaluate((node) => node.remove());
+  }
+}
+
+// Helper: Load an image referenced by a CSS url() (file, http(s) or data URI) as sharp input
+async function loadImageSource(url) {
+  if (url.startsWith("data:")) {
+    const [, meta, data] = url.match(/^data:([^,]*),(.*)$/s);
+    return meta.endsWith(";base64")
+      ? Buffer.from(data, "base64")
+      : Buffer.from(decodeURIComponent(data));
+  }
+  if (/^https?:/.test(url)) {
+    const response = await axios.get(url, {
+      responseType: "arraybuffer",
+      timeout: 10000,
+    });
+    return Buffer.from(response.data);
+  }
+  return url.startsWith("file:") ? fileURLToPath(url) : url;
+}
+
+// Helper: Resolve background-size to the drawn image size in px
+function resolveBackgroundSize(size, imageWidth, imageHeight, width, height) {
+  if (size === "cover" || size === "contain") {
+    const scale = (size === "cover" ? Math.max : Math.min)(
+      width / imageWidth,
+      height / imageHeight
+    );
+    return [imageWidth * scale, imageHeight * scale];
+  }
+
+  const [sizeX = "auto", sizeY = "auto"] = size.split(/\s+/);
+  const length = (value, base) =>
+    value.endsWith("%") ? (parseFloat(value) / 100) * base : parseFloat(value);
+  let w = sizeX === "auto" ? null : length(sizeX, width);
+  let h = sizeY === "auto" ? null : length(sizeY, height);
+  if (w === null && h === null) return [imageWidth, imageHeight];
+  if (w === null) w = (h * imageWidth) / imageHeight;
+  if (h === null) h = (w * imageHeight) / imageWidth;
+  return [w, h];
+}
+
+// Helper: Resolve one background-position component to an offset in px
+// Percentages align the same point of the image and the box: offset = p * (box - image)
+function resolveBackgroundOffset(value, free) {
+  const keywords = {
+    left: "0%",
+    top: "0%",
+    center: "50%",
+    right: "100%",
+    bottom: "100%",
+  };
+  const resolved = keywords[value] || value;
+  if (resolved.endsWith("%")) return (parseFloat(resolved) / 100) * free;
+
+  // Edge offsets like "right 10px" compute to calc(100% - 10px)
+  const calc = resolved.match(/^calc\(([\d.]+)% ([+-]) ([\d.]+)px\)$/);
+  if (calc) {
+    const sign = calc[2] === "+" ? 1 : -1;
+    return (parseFloat(calc[1]) / 100) * free + sign * parseFloat(calc[3]);
+  }
+  return parseFloat(resolved) || 0;
+}
+
+// Helper: Split a background-position/object-position value into its x and y components
+function splitPosition(position) {
+  const [x, y = "50%"] = position.trim().split(/\s+(?![^(]*\))/);
+  return [x, y];
+}
+
+// Helper: Resolve background-repeat to [repeatX, repeatY]
+function parseBackgroundRepeat(repeat) {
+  const values = repeat.split(/\s+/);
+  if (values.length === 2) return values.map((value) => value !== "no-repeat");
+  if (repeat === "repeat-x") return [true, false];
+  if (repeat === "repeat-y") return [false, true];
+  // space and round are approximated as repeat
+  return repeat === "no-repeat" ? [false, false] : [true, true];
+}
+
+// Helper: Resolve a computed border-radius ("10px", "50%", "8px 0px / 4px")
+// to [rx, ry] pixels for the top-left, top-right, bottom-right and bottom-left
+// corners of a width x height box, scaled down like the browser when adjacent
+// radii don't fit
+function resolveBorderRadii(borderRadius, width, height) {
+  const expand = (part) => {
+    const [a, b = a, c = a, d = b] = part.trim().split(/\s+/);
+    return [a, b, c, d];
+  };
+  const resolve = (value, size) =>
+    value.endsWith("%")
+      ? (parseFloat(value) / 100) * size
+      : parseFloat(value) || 0;
+  const [horizontal, vertical = horizontal] = (borderRadius || "0px")
+    .split("/")
+    .map(expand);
+  const radii = horizontal.map((value, i) => [
+    resolve(value, width),
+    resolve(vertical[i], height),
+  ]);
+
+  const fit = (size, first, second) =>
+    first + second > size ? size / (first + second) : 1;
+  const factor = Math.min(
+    fit(width, radii[0][0], radii[1][0]),
+    fit(width, radii[3][0], radii[2][0]),
+    fit(height, radii[0][1], radii[3][1]),
+    fit(height, radii[1][1], radii[2][1])
+  );
+  return radii.map(([rx, ry]) => [rx * factor, ry * factor]);
+}
+
+// Helper: SVG path of a rectangle with [rx, ry] corners (top-left, top-right,
+// bottom-right, bottom-left)
+function roundedRectPath(width, height, radii) {
+  const [[a, b], [c, d], [e, f], [g, k]] = radii;
+  return (
+    `M${a},0 H${width - c} A${c},${d} 0 0 1 ${width},${d} ` +
+    `V${height - f} A${e},${f} 0 0 1 ${width - e},${height} ` +
+    `H${g} A${g},${k} 0 0 1 0,${height - k} V${b} A${a},${b} 0 0 1 ${a},0 Z`
+  );
+}
+
+// Helper: Render DIV background images (with background color) to a PNG file,
+// scaled and positioned like the browser and clipped to the box and its rounded
+// corners (background.radii, or resolved from background.borderRadius)
+async function renderBackgroundImage(background, outputPath) {
+  // Render at 2x so the image stays sharp when the slide is scaled up
+  const scale = 2;
+  const { layers, backgroundColor, borderRadius, width, height } = background;
+  const canvasWidth = Math.max(1, Math.ceil(width * scale));
+  const canvasHeight = Math.max(1, Math.ceil(height * scale));
+  const composites = [];
+
+  // The first CSS layer is drawn on top, so composite from the last one up
+  for (const layer of [...layers].reverse()) {
+    const input = await loadImageSource(layer.url);
+    const metadata = await sharp(input).metadata();
+    const [drawWidth, drawHeight] = resolveBackgroundSize(
+      layer.size,
+      metadata.width,
+      metadata.height,
+      width,
+      height
+    );
+    const [positionX, positionY] = splitPosition(layer.position);
+    const tileWidth = Math.max(1, Math.round(drawWidth * scale));
+    const tileHeight = Math.max(1, Math.round(drawHeight * scale));
+    let left = resolveBackgroundOffset(positionX, width - drawWidth) * scale;
+    let top = resolveBackgroundOffset(positionY, height - drawHeight) * scale;
+
+    // Repeated tiles start at or before the top-left corner and cover the box
+    const [repeatX, repeatY] = parseBackgroundRepeat(layer.repeat);
+    let extendRight = 0;
+    let extendBottom = 0;
+    if (repeatX) {
+      left -= Math.ceil(left / tileWidth) * tileWidth;
+      extendRight = Math.max(0, Math.ceil(canvasWidth - left) - tileWidth);
+    }
+    if (repeatY) {
+      top -= Math.ceil(top / tileHeight) * tileHeight;
+      extendBottom = Math.max(0, Math.ceil(canvasHeight - top) - tileHeight);
+    }
+    left = Math.round(left);
+    top = Math.round(top);
+
+    let tile = await sharp(input)
+      .resize(tileWidth, tileHeight, { fit: "fill" })
+      .png()
+      .toBuffer();
+    if (extendRight > 0 || extendBottom > 0) {
+      tile = await sharp(tile)
+        .extend({
+          right: extendRight,
+          bottom: extendBottom,
+          extendWith: "repeat",
+        })
+        .png()
+        .toBuffer();
+    }
+
+    // Clip the layer to the box
+    const visibleLeft = Math.max(0, left);
+    const visibleTop = Math.max(0, top);
+    const visibleWidth =
+      Math.min(canvasWidth, left + tileWidth + extendRight) - visibleLeft;
+    const visibleHeight =
+      Math.min(canvasHeight, top + tileHeight + extendBottom) - visibleTop;
+    if (visibleWidth <= 0 || visibleHeight <= 0) continue;
+
+    composites.push({
+      input: await sharp(tile)
+        .extract({
+          left: visibleLeft - left,
+          top: visibleTop - top,
+          width: visibleWidth,
+          height: visibleHeight,
+        })
+        .png()
+        .toBuffer(),
+      left: visibleLeft,
+      top: visibleTop,
+    });
+  }
+
+  // Clip to the rounded corners of the DIV
+  const radii = (
+    background.radii || resolveBorderRadii(borderRadius, width, height)
+  ).map(([rx, ry]) => [rx * scale, ry * scale]);
+  if (radii.some(([rx, ry]) => rx > 0 && ry > 0)) {
+    composites.push({
+      input: Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${canvasWidth}" height="${canvasHeight}">` +
+          `<path d="${roundedRectPath(
+            canvasWidth,
+            canvasHeight,
+            radii
+          )}"/></svg>`
+      ),
+      blend: "dest-in",
+    });
+  }
+
+  await sharp({
+    create: {
+      width: canvasWidth,
+      height: canvasHeight,
+      channels: 4,
+      background: backgroundColor,
+    },
+  })
+    .composite(composites)
+    .png()
+    .toFile(outputPath);
+}
+
+// Helper: Render DIV background images and masked <img> elements to PNG files
+async function rasterizeBackgroundImages(slideData, tmpDir, lang) {
+  const targets = slideData.elements.filter(
+    (el) => el.type === "image" && el.backgroundImage
+  );
+
+  for (let i = 0; i < targets.length; i++) {
+    const target = targets[i];
+    const pngPath = path.join(
+      tmpDir,
+      `html2pptx-background-${process.pid}-${Date.now()}-${i}.png`
+    );
+    try {
+      await renderBackgroundImage(target.backgroundImage, pngPath);
+      target.src = pngPath;
+    } catch (error) {
+      const image = target.backgroundImage.layers
+        .map((layer) => layer.url.substring(0, 80))
+        .join(", ");
+      console.warn(
+        t(
+          "html2pptx.backgroundImageFailed",
+          { image, error: error.message },
+          lang
+        )
+      );
+      if (target.src) {
+        // Fall back to the unmasked <img>
+        delete target.backgroundImage;
+      } else {
+        target.skip = true;
+      }
+    }
+  }
+}
+
+// Helper: Render rounded and circular <img> elements as masked PNGs
+// object-fit/object-position map onto background-size/background-position.
+// The image fills the content box, so its corners are the border-box radii
+// minus the border and padding (el.insets), like the browser clips them
+function maskRoundedImages(slideData) {
+  for (const el of slideData.elements) {
+    if (el.type !== "image" || !el.fit || !el.borderRadius) continue;
+    const width = el.position.w * PX_PER_IN;
+    const height = el.position.h * PX_PER_IN;
+    const { left, top, right, bottom } = el.insets;
+    const radii = resolveBorderRadii(
+      el.borderRadius,
+      width + left + right,
+      height + top + bottom
+    ).map(([rx, ry], corner) => {
+      const inner = [
+        rx - (corner === 0 || corner === 3 ? left : right),
+        ry - (corner < 2 ? top : bottom),
+      ];
+      return inner[0] > 0 && inner[1] > 0 ? inner : [0, 0];
+    });
+    if (radii.every(([rx]) => rx === 0)) continue;
+
+    const { objectFit, objectPosition, naturalWidth, naturalHeight } = el.fit;
+    let size = { fill: "100% 100%", none: "auto" }[objectFit] || objectFit;
+    if (objectFit === "scale-down") {
+      size =
+        naturalWidth <= width && naturalHeight <= height ? "auto" : "contain";
+    }
+
+    el.backgroundImage = {
+      layers: [
+        { url: el.src, size, position: objectPosition, repeat: "no-repeat" },
+      ],
+      backgroundColor: "rgba(0, 0, 0, 0)",
+      radii,
+      width,
+      height,
+    };
+  }
+}
+
+// Helper: Place an <img> the way object-fit/object-position draw it,
+// cropping the parts that fall outside the box
+function getImagePlacement(el) {
+  const { x, y, w, h } = el.position;
+  // Rendered images (backgrounds, masked images) already match the box
+  if (!el.fit || el.backgroundImage) return { x, y, w, h };
+
+  const { objectFit, objectPosition, naturalWidth, naturalHeight } = el.fit;
+  if (objectFit === "fill" || !naturalWidth || !naturalHeight) {
+    return { x, y, w, h };
+  }
+
+  const boxWidth = w * PX_PER_IN;
+  const boxHeight = h * PX_PER_IN;
+  let size = objectFit === "none" ? "auto" : objectFit;
+  if (objectFit === "scale-down") {
+    size =
+      naturalWidth <= boxWidth && naturalHeight <= boxHeight
+        ? "auto"
+        : "contain";
+  }
+  const [drawWidth, drawHeight] = resolveBackgroundSize(
+    size,
+    naturalWidth,
+    naturalHeight,
+    boxWidth,
+    boxHeight
+  );
+  const [positionX, positionY] = splitPosition(objectPosition);
+  const drawLeft = resolveBackgroundOffset(positionX, boxWidth - drawWidth);
+  const drawTop = resolveBackgroundOffset(positionY, boxHeight - drawHeight);
+
+  // Visible part of the drawn image
+  const left = Math.max(0, drawLeft);
+  const top = Math.max(0, drawTop);
+  const right = Math.min(boxWidth, drawLeft + drawWidth);
+  const bottom = Math.min(boxHeight, drawTop + drawHeight);
+  if (right <= left || bottom <= top) return null;
+
+  const placement = {
+    x: x + left / PX_PER_IN,
+    y: y + top / PX_PER_IN,
+    w: (right - left) / PX_PER_IN,
+    h: (bottom - top) / PX_PER_IN,
+  };
+  const isCropped =
+    left > drawLeft ||
+    top > drawTop ||
+    right < drawLeft + drawWidth ||
+    bottom < drawTop + drawHeight;
+  if (!isCropped) return placement;
+
+  // PptxGenJS crops from the full drawn size (w/h) down to the sizing box at x/y
+  return {
+    x: placement.x,
+    y: placement.y,
+    w: drawWidth / PX_PER_IN,
+    h: drawHeight / PX_PER_IN,
+    sizing: {
+      type: "crop",
+      x: (left - drawLeft) / PX_PER_IN,
+      y: (top - drawTop) / PX_PER_IN,
+      w: placement.w,
+      h: placement.h,
+    },
+  };
+}
+
 // Helper: Pre-download web images and convert to Base64
-async function preDownloadImages(slideData) {
+async function preDownloadImages(slideData, lang) {
   for (const el of slideData.elements) {
     if (el.type === "image" && el.src && el.src.startsWith("http")) {
       try {
-        console.log(`Downloading image: ${el.src}`);
+        console.log(t("html2pptx.downloadingImage", { src: el.src }, lang));
         const response = await axios.get(el.src, {
           responseType: "arraybuffer",
           timeout: 10000, // 10-second timeout
@@ -178,11 +824,15 @@ async function preDownloadImages(slideData) {
         const base64 = Buffer.from(response.data, "binary").toString("base64");
         el.src = `data:${contentType};base64,${base64}`;
         console.log(
-          `Successfully downloaded and converted ${el.src.substring(0, 60)}...`
+          t("html2pptx.imageDownloaded", { src: el.src.substring(0, 60) }, lang)
         );
       } catch (error) {
         console.warn(
-          `Warning: Failed to download image ${el.src}. Error: ${error.message}. Skipping this image.`
+          t(
+            "html2pptx.imageDownloadFailed",
+            { src: el.src, error: error.message },
+            lang
+          )
         );
         // Mark the element to be skipped later
         el.skip = true;
@@ -191,6 +841,274 @@ async function preDownloadImages(slideData) {
   }
 }
 
+// Helper: Convert an image PowerPoint can't open to PNG/JPEG and downsample it
+// to its displayed size (inches) at the given DPI. Returns the new file path
+// (or SVG data URI in native SVG mode), or null when the original can be embedded as-is
+async function normalizeImage(src, width, height, options) {
+  const { dpi, tmpDir, svgMode } = options;
+  const input = await loadImageSource(src);
+  const metadata = await sharp(input).metadata();
+  const natural = metadata.autoOrient || metadata;
+  const isVector = metadata.format === "svg";
+  const isAnimated = (metadata.pages || 1) > 1;
+
+  // Embedded as SVG, with a PNG fallback rendered by writePresentation
+  if (isVector && svgMode === "native") {
+    if (src.startsWith("data:")) return null;
+    const data = Buffer.isBuffer(input) ? input : fs.readFileSync(input);
+    return `data:image/svg+xml;base64,${data.toString("base64")}`;
+  }
+
+  const scale = Math.max(
+    (width * dpi) / natural.width,
+    (height * dpi) / natural.height
+  );
+
+  if (SUPPORTED_IMAGE_FORMATS.includes(metadata.format)) {
+    // Resizing would drop the animation of animated GIFs
+    if (scale >= 1 || isAnimated) return null;
+  }
+
+  let image;
+  if (isVector) {
+    // SVG is rasterized directly at the target size (72 DPI is its natural size)
+    image = sharp(input, { density: Math.min(Math.max(72 * scale, 1), 2400) });
+  } else {
+    image = sharp(input).rotate();
+    if (scale < 1) {
+      image = image.resize(
+        Math.max(1, Math.round(natural.width * scale)),
+        Math.max(1, Math.round(natural.height * scale))
+      );
+    }
+  }
+
+  // Opaque photos (JPEG, WebP, AVIF...) become JPEG, everything else PNG
+  const asPng =
+    isVector ||
+    metadata.hasAlpha ||
+    metadata.format === "png" ||
+    metadata.format === "gif";
+  const buffer = asPng
+    ? await image.png().toBuffer()
+    : await image.jpeg({ quality: JPEG_QUALITY }).toBuffer();
+
+  // Name files by content so identical images share one file
+  const hash = crypto.createHash("sha1").update(buffer).digest("hex");
+  const outputPath = path.join(
+    tmpDir,
+    `html2pptx-image-${hash.slice(0, 16)}.${asPng ? "png" : "jpg"}`
+  );
+  if (!fs.existsSync(outputPath)) fs.writeFileSync(outputPath, buffer);
+  return outputPath;
+}
+
+// Helper: Normalize all images of a slide (elements and the body background)
+async function normalizeImages(slideData, bodyDimensions, options) {
+  const { tmpDir, dpi, svgMode, lang } = options;
+  const targets = [];
+
+  for (const el of slideData.elements) {
+    if (el.type !== "image" || el.skip || !el.src) continue;
+    // Cropped images are embedded at their full drawn size
+    const placement = getImagePlacement(el);
+    if (placement) {
+      targets.push({ item: el, key: "src", svgMode, ...placement });
+    }
+  }
+  if (slideData.background.type === "image" && slideData.background.path) {
+    // Slide backgrounds can't be SVG
+    targets.push({
+      item: slideData.background,
+      key: "path",
+      svgMode: "png",
+      w: bodyDimensions.width / PX_PER_IN,
+      h: bodyDimensions.height / PX_PER_IN,
+    });
+  }
+
+  for (const { item, key, svgMode, w, h } of targets) {
+    try {
+      const normalized = await normalizeImage(item[key], w, h, {
+        dpi,
+        tmpDir,
+        svgMode,
+      });
+      if (normalized) item[key] = normalized;
+    } catch (error) {
+      // Keep the original image
+      console.warn(
+        t(
+          "html2pptx.imageNormalizeFailed",
+          { src: item[key].substring(0, 80), error: error.message },
+          lang
+        )
+      );
+    }
+  }
+}
+
+// Helper: Render the PNG fallback of every native SVG image at its displayed
+// size and the given DPI. PptxGenJS can't rasterize SVG in Node and leaves a
+// broken placeholder, which older PowerPoint versions and other viewers would
+// show instead of the SVG
+async function renderSvgFallbacks(zip, dpi) {
+  const slideFiles = Object.keys(zip.files).filter((name) =>
+    /^ppt\/slides\/slide\d+\.xml$/.test(name)
+  );
+
+  for (const slideFile of slideFiles) {
+    const xml = await zip.file(slideFile).async("string");
+    // Displayed size in inches of each PNG/SVG pair, uncropped (largest use wins)
+    const pairs = new Map();
+    for (const [pic] of xml.matchAll(/<p:pic>[\s\S]*?<\/p:pic>/g)) {
+      const blip = pic.match(
+        /<a:blip r:embed="(rId\d+)"(?:(?!<\/a:blip>)[\s\S])*?<asvg:svgBlip[^>]*r:embed="(rId\d+)"/
+      );
+      const ext = pic.match(/<a:ext cx="(\d+)" cy="(\d+)"/);
+      if (!blip || !ext) continue;
+      const crop = (side) => {
+        const value = pic.match(
+          new RegExp(`<a:srcRect[^>]*\\b${side}="(-?\\d+)"`)
+        );
+        return value ? parseInt(value[1]) / 100000 : 0;
+      };
+      const w = ext[1] / EMU_PER_IN / Math.max(1 - crop("l") - crop("r"), 0.01);
+      const h = ext[2] / EMU_PER_IN / Math.max(1 - crop("t") - crop("b"), 0.01);
+      const key = `${blip[1]} ${blip[2]}`;
+      const size = pairs.get(key);
+      pairs.set(key, {
+        pngId: blip[1],
+        svgId: blip[2],
+        w: Math.max(w, size ? size.w : 0),
+        h: Math.max(h, size ? size.h : 0),
+      });
+    }
+    if (pairs.size === 0) continue;
+
+    const relsFile = slideFile.replace(
+      /slides\/(slide\d+\.xml)$/,
+      "slides/_rels/$1.rels"
+    );
+    const targets = new Map();
+    const rels = await zip.file(relsFile).async("string");
+    for (const [relationship] of rels.matchAll(/<Relationship [^>]*>/g)) {
+      const id = relationship.match(/Id="([^"]+)"/);
+      const target = relationship.match(/Target="\.\.\/([^"]+)"/);
+      if (id && target) targets.set(id[1], `ppt/${target[1]}`);
+    }
+
+    for (const { pngId, svgId, w, h } of pairs.values()) {
+      const pngFile = targets.get(pngId);
+      const svgFile = targets.get(svgId);
+      if (!pngFile || !svgFile || !zip.file(svgFile)) continue;
+      const svg = await zip.file(svgFile).async("nodebuffer");
+      // Rasterized like normalizeImage (72 DPI is the SVG's natural size)
+      const metadata = await sharp(svg).metadata();
+      const scale = Math.max(
+        (w * dpi) / metadata.width,
+        (h * dpi) / metadata.height
+      );
+      const png = await sharp(svg, {
+        density: Math.min(Math.max(72 * scale, 1), 2400),
+      })
+        .png()
+        .toBuffer();
+      zip.file(pngFile, png);
+    }
+  }
+}
+
+// Helper: Store identical media files of a .pptx only once, pointing all
+// relationships at the first copy (PptxGenJS only reuses media within a slide)
+async function dedupeMedia(zip) {
+  const firstByHash = new Map();
+  const renamed = new Map();
+
+  for (const name of Object.keys(zip.files).sort()) {
+    if (!name.startsWith("ppt/media/") || zip.files[name].dir) continue;
+    const data = await zip.file(name).async("nodebuffer");
+    const hash = crypto.createHash("sha1").update(data).digest("hex");
+    if (firstByHash.has(hash)) {
+      renamed.set(path.posix.basename(name), firstByHash.get(hash));
+      zip.remove(name);
+    } else {
+      firstByHash.set(hash, path.posix.basename(name));
+    }
+  }
+  if (renamed.size === 0) return;
+
+  const relsFiles = Object.keys(zip.files).filter((name) =>
+    name.endsWith(".rels")
+  );
+  for (const name of relsFiles) {
+    const xml = await zip.file(name).async("string");
+    const updated = xml.replace(
+      /Target="\.\.\/media\/([^"]+)"/g,
+      (match, file) =>
+        renamed.has(file) ? `Target="../media/${renamed.get(file)}"` : match
+    );
+    if (updated !== xml) zip.file(name, updated);
+  }
+}
+
+// Images rendered for a presentation are written to its own scratch directory.
+// writePresentation() removes it; callers that write the presentation
+// themselves leave it to be removed when the process exits
+const scratchDirs = new WeakMap();
+const openScratchDirs = new Set();
+let scratchExitHook = false;
+
+// Helper: Get (or create) the scratch directory for a presentation's images
+function getScratchDir(pres, tmpDir) {
+  if (!scratchDirs.has(pres)) {
+    const dir = fs.mkdtempSync(path.join(tmpDir, "html2pptx-"));
+    scratchDirs.set(pres, dir);
+    openScratchDirs.add(dir);
+    if (!scratchExitHook) {
+      scratchExitHook = true;
+      process.once("exit", () => openScratchDirs.forEach(removeDir));
+    }
+  }
+  return scratchDirs.get(pres);
+}
+
+// Helper: Remove a presentation's scratch directory once its images are embedded
+function removeScratchDir(pres) {
+  const dir = scratchDirs.get(pres);
+  if (!dir) return;
+  removeDir(dir);
+  scratchDirs.delete(pres);
+  openScratchDirs.delete(dir);
+}
+
+function removeDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Write the presentation to a .pptx file, storing images shared by several
+ * slides only once and rendering PNG fallbacks for native SVG images at
+ * options.imageDpi (the value used for prepareSlide).
+ * The images rendered for its slides are deleted afterwards; PptxGenJS keeps
+ * the data it read, so the presentation can still be written again
+ */
+async function writePresentation(pres, fileName, options = {}) {
+  const { imageDpi = DEFAULT_IMAGE_DPI } = options;
+  const zip = await JSZip.loadAsync(
+    await pres.write({ outputType: "nodebuffer" })
+  );
+  await renderSvgFallbacks(zip, imageDpi);
+  await dedupeMedia(zip);
+  const buffer = await zip.generateAsync({
+    type: "nodebuffer",
+    compression: "DEFLATE",
+  });
+  fs.writeFileSync(fileName, buffer);
+  removeScratchDir(pres);
+  return fileName;
+}
+
 // Helper: Add elements to slide
 function addElements(slideData, targetSlide, pres) {
   for (const el of slideData.elements) {
@@ -198,12 +1116,9 @@ function addElements(slideData, targetSlide, pres) {
     if (el.skip) continue;
 
     if (el.type === "image") {
-      const imageOptions = {
-        x: el.position.x,
-        y: el.position.y,
-        w: el.position.w,
-        h: el.position.h,
-      };
+      const imageOptions = getImagePlacement(el);
+      // Nothing of the image is visible inside its box
+      if (!imageOptions) continue;
 
       if (el.src.startsWith("data:")) {
         // Handle Base64 encoded images
@@ -265,6 +1180,14 @@ function addElements(slideData, targetSlide, pres) {
       };
       if (el.style.margin) listOptions.margin = el.style.margin;
       targetSlide.addText(el.items, listOptions);
+    } else if (el.type === "table") {
+      targetSlide.addTable(el.rows, {
+        x: el.position.x,
+        y: el.position.y,
+        colW: el.colW,
+        rowH: el.rowH,
+        autoPage: false,
+      });
     } else {
       // Check if text is single-line (height suggests one line)
       const lineHeight = el.style.lineSpacing || el.style.fontSize * 1.2;
@@ -322,10 +1245,55 @@ function addElements(slideData, targetSlide, pres) {
 }
 
 // Helper: Extract slide data from HTML page
-async function extractSlideData(page) {
-  return await page.evaluate(() => {
+async function extractSlideData(page, options = {}) {
+  const { iconFonts = DEFAULT_ICON_FONTS } = options;
+  const args = { CODES: DIAGNOSTIC_CODES, iconFonts, ICON_ATTR };
+  return await page.evaluate(({ CODES, iconFonts, ICON_ATTR }) => {
     const PT_PER_PX = 0.75;
     const PX_PER_IN = 96;
+    // Approximate width of a space, used to keep room for inline icons in text
+    const SPACE_WIDTH_EM = 0.25;
+    const GRADIENT_REGEX = /(linear|radial|conic)-gradient\(/;
+
+    // Helper: Split a comma-separated CSS list (background layers) at top-level commas
+    const splitLayers = (value) => {
+      const layers = [];
+      let depth = 0;
+      let current = "";
+      for (const char of value) {
+        if (char === "(") depth++;
+        if (char === ")") depth--;
+        if (char === "," && depth === 0) {
+          layers.push(current.trim());
+          current = "";
+        } else {
+          current += char;
+        }
+      }
+      layers.push(current.trim());
+      return layers;
+    };
+
+    // Helper: Read url() background layers with their size, position and repeat.
+    // Returns null when a layer is not a plain url() image (e.g. image-set()).
+    const getBackgroundImageLayers = (computed) => {
+      const images = splitLayers(computed.backgroundImage);
+      const sizes = splitLayers(computed.backgroundSize);
+      const positions = splitLayers(computed.backgroundPosition);
+      const repeats = splitLayers(computed.backgroundRepeat);
+      const layers = images.map((image, i) => {
+        const urlMatch = image.match(/^url\(["']?(.*?)["']?\)$/);
+        if (!urlMatch) return null;
+        // Shorter property lists repeat to match the number of images
+        return {
+          url: urlMatch[1],
+          size: sizes[i % sizes.length],
+          position: positions[i % positions.length],
+          repeat: repeats[i % repeats.length],
+        };
+      });
+      return layers.every(Boolean) ? layers : null;
+    };
 
     // Fonts that are single-weight and should not have bold applied
     // (applying bold causes PowerPoint to use faux bold which makes text wider)
@@ -342,6 +1310,45 @@ async function extractSlideData(page) {
       return SINGLE_WEIGHT_FONTS.includes(normalizedFont);
     };
 
+    // Build a unique CSS selector path for an element (stops at the nearest id)
+    const getSelectorPath = (el) => {
+      const parts = [];
+      let node = el;
+      while (node && node.nodeType === Node.ELEMENT_NODE) {
+        if (node.id) {
+          parts.unshift(`#${CSS.escape(node.id)}`);
+          break;
+        }
+        let part = node.tagName.toLowerCase();
+        const parent = node.parentElement;
+        if (parent && node !== document.body) {
+          const sameTag = Array.from(parent.children).filter(
+            (child) => child.tagName === node.tagName
+          );
+          if (sameTag.length > 1) {
+            part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+          }
+        }
+        parts.unshift(part);
+        if (node === document.body) break;
+        node = parent;
+      }
+      return parts.join(" > ");
+    };
+
+    // Build a validation diagnostic for an element (bbox in CSS pixels).
+    // The message is rendered in Node scope by formatDiagnostic().
+    const diagnostic = (code, el, details = {}) => {
+      const rect = el.getBoundingClientRect();
+      return {
+        code,
+        severity: "error",
+        selector: getSelectorPath(el),
+        bbox: { x: rect.left, y: rect.top, w: rect.width, h: rect.height },
+        details,
+      };
+    };
+
     // Unit conversion helpers
     const pxToInch = (px) => px / PX_PER_IN;
     const pxToPoints = (pxStr) => parseFloat(pxStr) * PT_PER_PX;
@@ -524,13 +1531,35 @@ async function extractSlideData(page) {
           const text =
             node.tagName === "BR"
               ? "\n"
-              : textTransform(node.textContent.replace(/\s+/g, " "));
+              : textTransform(
+                  // Collapse HTML whitespace only; &nbsp; is kept like in the browser
+                  node.textContent.replace(/[ \t\n\r\f]+/g, " ")
+                );
           const prevRun = runs[runs.length - 1];
           if (prevNodeIsText && prevRun) {
             prevRun.text += text;
           } else {
             runs.push({ text, options: { ...baseOptions } });
           }
+        } else if (
+          node.nodeType === Node.ELEMENT_NODE &&
+          (node instanceof SVGSVGElement ||
+            isIconElement(node) ||
+            isPseudoIconElement(node))
+        ) {
+          // Icons and inline SVGs are placed as images; keep their room in the text
+          const spaceWidth =
+            parseFloat(window.getComputedStyle(element).fontSize) *
+            SPACE_WIDTH_EM;
+          const spaces = Math.round(
+            node.getBoundingClientRect().width / spaceWidth
+          );
+          if (spaces > 0) {
+            runs.push({
+              text: "\u00a0".repeat(spaces),
+              options: { ...baseOptions },
+            });
+          }
         } else if (
           node.nodeType === Node.ELEMENT_NODE &&
           node.textContent.trim()
@@ -574,29 +1603,22 @@ async function extractSlideData(page) {
 
             // Validate: Check for margins on inline elements
             // 5. parseInlineFormatting 内 margin 不支持
-            if (computed.marginLeft && parseFloat(computed.marginLeft) > 0) {
-              errors.push(
-                `内联元素 <${node.tagName.toLowerCase()}> 存在 margin-left，PPT 不支持。请移除内联元素的 margin。`
-              );
-            }
-            if (computed.marginRight && parseFloat(computed.marginRight) > 0) {
-              errors.push(
-                `内联元素 <${node.tagName.toLowerCase()}> 存在 margin-right，PPT 不支持。请移除内联元素的 margin。`
-              );
-            }
-            if (computed.marginTop && parseFloat(computed.marginTop) > 0) {
-              errors.push(
-                `内联元素 <${node.tagName.toLowerCase()}> 存在 margin-top，PPT 不支持。请移除内联元素的 margin。`
-              );
-            }
-            if (
-              computed.marginBottom &&
-              parseFloat(computed.marginBottom) > 0
-            ) {
-              errors.push(
-                `内联元素 <${node.tagName.toLowerCase()}> 存在 margin-bottom，PPT 不支持。请移除内联元素的 margin。`
-              );
-            }
+            [
+              ["marginLeft", "margin-left"],
+              ["marginRight", "margin-right"],
+              ["marginTop", "margin-top"],
+              ["marginBottom", "margin-bottom"],
+            ].forEach(([prop, cssProp]) => {
+              if (computed[prop] && parseFloat(computed[prop]) > 0) {
+                errors.push(
+                  diagnostic(CODES.INLINE_MARGIN, node, {
+                    tagName: node.tagName.toLowerCase(),
+                    property: cssProp,
+                    value: computed[prop],
+                  })
+                );
+              }
+            });
 
             // Recursively process the child node. This will flatten nested spans into multiple runs.
             parseInlineFormatting(node, options, runs, textTransform);
@@ -608,9 +1630,9 @@ async function extractSlideData(page) {
 
       // Trim leading space from first run and trailing space from last run
       if (runs.length > 0) {
-        runs[0].text = runs[0].text.replace(/^\s+/, "");
+        runs[0].text = runs[0].text.replace(/^[ \t\n\r\f]+/, "");
         runs[runs.length - 1].text = runs[runs.length - 1].text.replace(
-          /\s+$/,
+          /[ \t\n\r\f]+$/,
           ""
         );
       }
@@ -618,6 +1640,515 @@ async function extractSlideData(page) {
       return runs.filter((r) => r.text.length > 0);
     };
 
+    // Convert border-radius to rectRadius (in inches)
+    // % values: 50%+ = circle (1), <50% = percentage of min dimension
+    // pt values: divide by 72 (72pt = 1 inch)
+    // px values: divide by 96 (96px = 1 inch)
+    const getRectRadius = (radius, rect) => {
+      const radiusValue = parseFloat(radius);
+      if (!radiusValue) return 0;
+
+      if (radius.includes("%")) {
+        if (radiusValue >= 50) return 1;
+        // Calculate percentage of smaller dimension
+        const minDim = Math.min(rect.width, rect.height);
+        return (radiusValue / 100) * pxToInch(minDim);
+      }
+
+      if (radius.includes("pt")) return radiusValue / 72;
+      return radiusValue / PX_PER_IN;
+    };
+
+    // Map CSS border style to PptxGenJS table border type
+    const getBorderType = (style, width) => {
+      if (!width || parseFloat(width) === 0) return "none";
+      if (style === "none" || style === "hidden") return "none";
+      if (style === "dashed" || style === "dotted") return "dash";
+      return "solid";
+    };
+
+    // Parse table cell content into text runs (block children become separate lines)
+    const parseCellRuns = (cell) => {
+      const blocks = Array.from(
+        cell.querySelectorAll("p, h1, h2, h3, h4, h5, h6, li")
+      );
+      const sources = blocks.length > 0 ? blocks : [cell];
+      const runs = [];
+
+      sources.forEach((source, idx) => {
+        const computed = window.getComputedStyle(source);
+        const baseOptions = {};
+        if (source !== cell) {
+          // Block children may override the cell's text style
+          const isBold =
+            computed.fontWeight === "bold" ||
+            parseInt(computed.fontWeight) >= 600;
+          if (isBold && !shouldSkipBold(computed.fontFamily))
+            baseOptions.bold = true;
+          if (computed.fontStyle === "italic") baseOptions.italic = true;
+          baseOptions.color = rgbToHex(computed.color);
+          baseOptions.fontSize = pxToPoints(computed.fontSize);
+        }
+
+        const transformStr = computed.textTransform;
+        const sourceRuns = parseInlineFormatting(
+          source,
+          baseOptions,
+          [],
+          (str) => applyTextTransform(str, transformStr)
+        );
+        if (sourceRuns.length > 0 && idx < sources.length - 1) {
+          sourceRuns[sourceRuns.length - 1].options.breakLine = true;
+        }
+        runs.push(...sourceRuns);
+      });
+
+      return runs;
+    };
+
+    // Extract a <table> as native PowerPoint table data
+    const extractTable = (table) => {
+      const trs = Array.from(table.rows).filter((tr) => {
+        const rect = tr.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0;
+      });
+      if (trs.length === 0) return null;
+
+      const tableRect = table.getBoundingClientRect();
+      const firstRowRect = trs[0].getBoundingClientRect();
+      const lastRowRect = trs[trs.length - 1].getBoundingClientRect();
+
+      // Column left edges keyed by logical column index (accounts for colspan/rowspan)
+      const colLefts = [];
+      const occupied = [];
+      const rows = [];
+
+      trs.forEach((tr, rowIdx) => {
+        const rowCells = [];
+        const trComputed = window.getComputedStyle(tr);
+        const sectionComputed = window.getComputedStyle(tr.parentElement);
+        let colIdx = 0;
+
+        Array.from(tr.cells).forEach((cell) => {
+          // Skip columns occupied by rowspans from previous rows
+          while (occupied[rowIdx] && occupied[rowIdx][colIdx]) colIdx++;
+
+          const colspan = Math.max(1, cell.colSpan || 1);
+          const rowspan = Math.max(1, cell.rowSpan || 1);
+          const cellRect = cell.getBoundingClientRect();
+
+          if (colLefts[colIdx] === undefined) colLefts[colIdx] = cellRect.left;
+
+          for (let r = rowIdx; r < rowIdx + rowspan; r++) {
+            occupied[r] = occupied[r] || [];
+            for (let c = colIdx; c < colIdx + colspan; c++) {
+              occupied[r][c] = true;
+            }
+          }
+
+          const computed = window.getComputedStyle(cell);
+
+          // Cell fill falls back to row and row group backgrounds
+          const fillSource = [computed, trComputed, sectionComputed].find(
+            (s) => s.backgroundColor && s.backgroundColor !== "rgba(0, 0, 0, 0)"
+          );
+
+          const isBold =
+            computed.fontWeight === "bold" ||
+            parseInt(computed.fontWeight) >= 600;
+          const valign =
+            computed.verticalAlign === "middle"
+              ? "middle"
+              : computed.verticalAlign === "bottom"
+              ? "bottom"
+              : "top";
+
+          const options = {
+            fontSize: pxToPoints(computed.fontSize),
+            fontFace: computed.fontFamily
+              .split(",")[0]
+              .replace(/['"]/g, "")
+              .trim(),
+            color: rgbToHex(computed.color),
+            bold: isBold && !shouldSkipBold(computed.fontFamily),
+            italic: computed.fontStyle === "italic",
+            align: computed.textAlign === "start" ? "left" : computed.textAlign,
+            valign,
+            // PptxGenJS table border array is [top, right, bottom, left]
+            border: ["Top", "Right", "Bottom", "Left"].map((side) => ({
+              type: getBorderType(
+                computed[`border${side}Style`],
+                computed[`border${side}Width`]
+              ),
+              pt: pxToPoints(computed[`border${side}Width`]) || 0,
+              color: rgbToHex(computed[`border${side}Color`]),
+            })),
+            // PptxGenJS table cell margin is [top, right, bottom, left] in inches
+            margin: [
+              pxToInch(parseFloat(computed.paddingTop) || 0),
+              pxToInch(parseFloat(computed.paddingRight) || 0),
+              pxToInch(parseFloat(computed.paddingBottom) || 0),
+              pxToInch(parseFloat(computed.paddingLeft) || 0),
+            ],
+          };
+
+          if (fillSource) {
+            options.fill = { color: rgbToHex(fillSource.backgroundColor) };
+            const transparency = extractAlpha(fillSource.backgroundColor);
+            if (transparency !== null) options.fill.transparency = transparency;
+          }
+          if (colspan > 1) options.colspan = colspan;
+          if (rowspan > 1) options.rowspan = rowspan;
+
+          rowCells.push({ text: parseCellRuns(cell), options });
+          colIdx += colspan;
+        });
+
+        rows.push(rowCells);
+      });
+
+      // Column widths from left edges of the logical columns
+      const numCols = Math.max(...occupied.map((r) => (r ? r.length : 0)));
+      const edges = [];
+      for (let c = 0; c < numCols; c++) {
+        edges.push(c === 0 ? tableRect.left : colLefts[c]);
+      }
+      edges.push(tableRect.right);
+      // Columns only covered by colspans get an interpolated edge
+      for (let c = 1; c < numCols; c++) {
+        if (edges[c] !== undefined) continue;
+        let next = c + 1;
+        while (edges[next] === undefined) next++;
+        edges[c] = edges[c - 1] + (edges[next] - edges[c - 1]) / (next - c + 1);
+      }
+      const colW = [];
+      for (let c = 0; c < numCols; c++) {
+        colW.push(pxToInch(Math.max(0, edges[c + 1] - edges[c])));
+      }
+
+      const rowH = trs.map((tr, idx) => {
+        const top = tr.getBoundingClientRect().top;
+        const bottom =
+          idx < trs.length - 1
+            ? trs[idx + 1].getBoundingClientRect().top
+            : lastRowRect.bottom;
+        return pxToInch(Math.max(0, bottom - top));
+      });
+
+      return {
+        type: "table",
+        rows,
+        colW,
+        rowH,
+        position: {
+          x: pxToInch(tableRect.left),
+          y: pxToInch(firstRowRect.top),
+          w: pxToInch(tableRect.width),
+          h: pxToInch(lastRowRect.bottom - firstRowRect.top),
+        },
+      };
+    };
+
+    // Parse the computed `content` of a pseudo-element into text (null = not rendered)
+    const parsePseudoContent = (content, owner) => {
+      if (!content || content === "none" || content === "normal") return null;
+
+      let text = "";
+      const tokenRegex =
+        /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|attr\(([^)]+)\)/g;
+      let match;
+      while ((match = tokenRegex.exec(content))) {
+        if (match[3]) {
+          text += owner.getAttribute(match[3].trim()) || "";
+        } else {
+          text += (match[1] ?? match[2])
+            .replace(/\\([0-9a-fA-F]{1,6})\s?/g, (_, hex) =>
+              String.fromCodePoint(parseInt(hex, 16))
+            )
+            .replace(/\\(.)/g, "$1");
+        }
+      }
+      return text;
+    };
+
+    // SVG properties resolved from the page CSS (classes, currentColor, inherited
+    // fills) and written as attributes so the SVG renders the same on its own
+    const SVG_STYLE_PROPERTIES = [
+      "fill",
+      "fill-opacity",
+      "fill-rule",
+      "clip-rule",
+      "stroke",
+      "stroke-width",
+      "stroke-opacity",
+      "stroke-linecap",
+      "stroke-linejoin",
+      "stroke-dasharray",
+      "stroke-dashoffset",
+      "stroke-miterlimit",
+      "opacity",
+      "color",
+      "stop-color",
+      "stop-opacity",
+      "font-family",
+      "font-size",
+      "font-weight",
+      "font-style",
+      "text-anchor",
+      "dominant-baseline",
+      "visibility",
+    ];
+    // Templates are styled where they are used, so their own computed style is not inlined
+    const SVG_TEMPLATE_SELECTOR = "defs, symbol";
+
+    // Helper: Serialize an inline <svg> as a standalone SVG data URI sized to its box
+    const serializeSvg = (svg, rect) => {
+      const clone = svg.cloneNode(true);
+      const sources = [svg, ...svg.querySelectorAll("*")];
+      const targets = [clone, ...clone.querySelectorAll("*")];
+      sources.forEach((source, i) => {
+        const target = targets[i];
+        if (
+          source.closest(SVG_TEMPLATE_SELECTOR) &&
+          source.tagName !== "stop"
+        ) {
+          return;
+        }
+        const computed = window.getComputedStyle(source);
+        target.removeAttribute("style");
+        target.removeAttribute("class");
+        SVG_STYLE_PROPERTIES.forEach((prop) => {
+          const value = computed.getPropertyValue(prop);
+          if (value) target.setAttribute(prop, value);
+        });
+      });
+      clone.setAttribute("width", rect.width);
+      clone.setAttribute("height", rect.height);
+
+      // Icons from a sprite sheet reference <symbol>s elsewhere in the page
+      const defs = document.createElementNS(svg.namespaceURI, "defs");
+      clone.querySelectorAll("use").forEach((use) => {
+        const href = use.getAttribute("href") || use.getAttribute("xlink:href");
+        const id = href && href.startsWith("#") ? href.slice(1) : null;
+        if (!id || clone.querySelector(`[id="${CSS.escape(id)}"]`)) return;
+        const referenced = document.getElementById(id);
+        if (referenced) defs.appendChild(referenced.cloneNode(true));
+      });
+      if (defs.childNodes.length > 0)
+        clone.insertBefore(defs, clone.firstChild);
+
+      const bytes = new TextEncoder().encode(
+        new XMLSerializer().serializeToString(clone)
+      );
+      let binary = "";
+      bytes.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+      });
+      return `data:image/svg+xml;base64,${btoa(binary)}`;
+    };
+
+    // Pseudo-elements have no DOM node to measure, so each one is temporarily
+    // replaced by a real <span> carrying its computed style
+    const PSEUDO_ATTR = "data-html2pptx-pseudo";
+    const pseudoProbeStyle = document.createElement("style");
+    pseudoProbeStyle.textContent = `[${PSEUDO_ATTR}="before"]::before, [${PSEUDO_ATTR}="after"]::after { content: none !important; }`;
+    const pseudoCache = new Map();
+
+    const measurePseudo = (owner, pseudo) => {
+      if (!pseudoCache.has(owner)) pseudoCache.set(owner, {});
+      const cached = pseudoCache.get(owner);
+      if (pseudo in cached) return cached[pseudo];
+
+      cached[pseudo] = null;
+      const style = window.getComputedStyle(owner, pseudo);
+      const text = parsePseudoContent(style.content, owner);
+      if (
+        text === null ||
+        style.display === "none" ||
+        style.visibility === "hidden"
+      ) {
+        return null;
+      }
+
+      const hasBg =
+        style.backgroundColor && style.backgroundColor !== "rgba(0, 0, 0, 0)";
+      const hasBorder = ["Top", "Right", "Bottom", "Left"].some(
+        (side) => parseFloat(style[`border${side}Width`]) > 0
+      );
+      const hasText = text.trim().length > 0;
+      if (!hasBg && !hasBorder && !hasText) return null;
+
+      const probe = document.createElement("span");
+      for (let i = 0; i < style.length; i++) {
+        const prop = style[i];
+        if (prop === "content") continue;
+        probe.style.setProperty(prop, style.getPropertyValue(prop));
+      }
+      probe.textContent = text;
+
+      const attrValue = pseudo === "::before" ? "before" : "after";
+      if (!pseudoProbeStyle.isConnected)
+        document.head.appendChild(pseudoProbeStyle);
+      owner.setAttribute(PSEUDO_ATTR, attrValue);
+      if (pseudo === "::before") {
+        owner.insertBefore(probe, owner.firstChild);
+      } else {
+        owner.appendChild(probe);
+      }
+      const rect = probe.getBoundingClientRect();
+      probe.remove();
+      owner.removeAttribute(PSEUDO_ATTR);
+
+      if (rect.width === 0 || rect.height === 0) return null;
+
+      cached[pseudo] = {
+        owner,
+        pseudo,
+        style,
+        text,
+        rect,
+        hasBg,
+        hasBorder,
+        hasText,
+      };
+      return cached[pseudo];
+    };
+
+    // Icon font families whose glyphs are captured as images, lower-cased for matching
+    const iconFontNames = iconFonts.map((font) => font.toLowerCase());
+
+    // Helper: Check whether the first family of a font-family is a known icon font
+    const isIconFont = (fontFamily) => {
+      const family = fontFamily
+        .split(",")[0]
+        .replace(/['"]/g, "")
+        .trim()
+        .toLowerCase();
+      return iconFontNames.some((name) => family.includes(name));
+    };
+
+    // Helper: Check whether an element renders an icon font glyph as its own
+    // text (ligatures like "home"). Glyphs drawn by ::before/::after (Font
+    // Awesome) are captured on their own and the element is extracted as usual
+    const isIconElement = (el) =>
+      isIconFont(window.getComputedStyle(el).fontFamily) &&
+      Array.from(el.childNodes).some(
+        (node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim()
+      );
+
+    // Helper: Check whether a measured pseudo-element draws an icon font glyph
+    const isIconPseudo = (info) =>
+      info.hasText && isIconFont(info.style.fontFamily);
+
+    // Helper: Check whether an empty element only shows an icon pseudo-element
+    // (<i class="fa fa-check"></i>), so inline text keeps room for it
+    const isPseudoIconElement = (el) =>
+      !el.textContent.trim() &&
+      ["::before", "::after"].some((pseudo) => {
+        const info = measurePseudo(el, pseudo);
+        return !!info && isIconPseudo(info);
+      });
+
+    // Icon glyphs become images that captureIcons() screenshots after extraction
+    let iconCount = 0;
+    const iconImage = (rect) => ({
+      type: "image",
+      src: null,
+      icon: iconCount++,
+      position: {
+        x: pxToInch(rect.left),
+        y: pxToInch(rect.top),
+        w: pxToInch(rect.width),
+        h: pxToInch(rect.height),
+      },
+    });
+
+    // Owners of icon pseudo-elements, marked like ICON_PSEUDO_ATTR outside the page
+    const ICON_PSEUDO_ATTR = `${ICON_ATTR}-pseudo`;
+
+    // Convert a measured pseudo-element into a shape and/or text box
+    const pseudoToElements = (info) => {
+      const { owner, pseudo, style, text, rect, hasBg, hasBorder, hasText } =
+        info;
+
+      // Icon glyphs are captured together with the pseudo-element's own box
+      if (isIconPseudo(info)) {
+        const marks = (owner.getAttribute(ICON_PSEUDO_ATTR) || "")
+          .split(" ")
+          .filter(Boolean);
+        marks.push(pseudo.slice(2));
+        owner.setAttribute(ICON_PSEUDO_ATTR, marks.join(" "));
+        return [iconImage(rect)];
+      }
+
+      const position = {
+        x: pxToInch(rect.left),
+        y: pxToInch(rect.top),
+        w: pxToInch(rect.width),
+        h: pxToInch(rect.height),
+      };
+      const result = [];
+
+      if (hasBg || hasBorder) {
+        const borderWidth = parseFloat(style.borderTopWidth) || 0;
+        result.push({
+          type: "shape",
+          text: "",
+          position,
+          shape: {
+            fill: hasBg ? rgbToHex(style.backgroundColor) : null,
+            transparency: hasBg ? extractAlpha(style.backgroundColor) : null,
+            line: hasBorder
+              ? {
+                  color: rgbToHex(style.borderTopColor),
+                  width: borderWidth * PT_PER_PX,
+                }
+              : null,
+            rectRadius: getRectRadius(style.borderRadius, rect),
+            shadow: parseBoxShadow(style.boxShadow),
+          },
+        });
+      }
+
+      if (hasText) {
+        const isBold =
+          style.fontWeight === "bold" || parseInt(style.fontWeight) >= 600;
+        const textStyle = {
+          fontSize: pxToPoints(style.fontSize),
+          fontFace: style.fontFamily.split(",")[0].replace(/['"]/g, "").trim(),
+          color: rgbToHex(style.color),
+          align: style.textAlign === "start" ? "left" : style.textAlign,
+          lineSpacing:
+            style.lineHeight && style.lineHeight !== "normal"
+              ? pxToPoints(style.lineHeight)
+              : null,
+          paraSpaceBefore: 0,
+          paraSpaceAfter: 0,
+          // PptxGenJS margin array is [left, right, bottom, top]
+          margin: [
+            pxToPoints(style.paddingLeft),
+            pxToPoints(style.paddingRight),
+            pxToPoints(style.paddingBottom),
+            pxToPoints(style.paddingTop),
+          ],
+          bold: isBold && !shouldSkipBold(style.fontFamily),
+          italic: style.fontStyle === "italic",
+          underline: style.textDecoration.includes("underline"),
+        };
+        const transparency = extractAlpha(style.color);
+        if (transparency !== null) textStyle.transparency = transparency;
+
+        result.push({
+          type: "p",
+          text: applyTextTransform(text.trim(), style.textTransform),
+          position,
+          style: textStyle,
+        });
+      }
+
+      return result;
+    };
+
     // Extract background from body (image or color)
     const body = document.body;
     const bodyStyle = window.getComputedStyle(body);
@@ -627,20 +2158,21 @@ async function extractSlideData(page) {
     // Collect validation errors
     const errors = [];
 
-    // Validate: Check for CSS gradients
-    // 4.1 CSS 渐变不支持
-    if (
-      bgImage &&
-      (bgImage.includes("linear-gradient") ||
-        bgImage.includes("radial-gradient"))
-    ) {
-      errors.push(
-        "CSS 渐变不支持。请先用 Sharp 工具将渐变转为 PNG 图片，然后用 background-image: url(gradient.png) 引用。"
-      );
-    }
-
     let background;
-    if (bgImage && bgImage !== "none") {
+    if (bgImage && GRADIENT_REGEX.test(bgImage)) {
+      // CSS gradients are rasterized to PNG after extraction
+      background = {
+        type: "gradient",
+        gradient: {
+          backgroundImage: bgImage,
+          backgroundColor: bgColor,
+          borderRadius: "0px",
+          width: body.clientWidth,
+          height: body.clientHeight,
+        },
+        value: rgbToHex(bgColor),
+      };
+    } else if (bgImage && bgImage !== "none") {
       // Extract URL from url("...") or url(...)
       const urlMatch = bgImage.match(/url\(["']?([^"')]+)["']?\)/);
       if (urlMatch) {
@@ -677,10 +2209,30 @@ async function extractSlideData(page) {
       "LI",
     ];
     const processed = new Set();
+    // Pseudo-elements whose owner already consumed them (e.g. custom list bullets)
+    const consumedPseudos = new Set();
 
-    document.querySelectorAll("*").forEach((el) => {
+    const extractElement = (el) => {
       if (processed.has(el)) return;
 
+      // Icon font glyphs are captured as images after extraction
+      if (el !== body && isIconElement(el)) {
+        const rect = el.getBoundingClientRect();
+        if (rect.width > 0 && rect.height > 0) {
+          const icon = iconImage(rect);
+          el.setAttribute(ICON_ATTR, String(icon.icon));
+          elements.push(icon);
+        }
+        // ::before/::after glyphs are part of the captured image
+        ["::before", "::after"].forEach((pseudo) => {
+          const info = measurePseudo(el, pseudo);
+          if (info) consumedPseudos.add(info);
+        });
+        el.querySelectorAll("*").forEach((child) => processed.add(child));
+        processed.add(el);
+        return;
+      }
+
       // Validate text elements don't have backgrounds, borders, or shadows
       if (textTags.includes(el.tagName)) {
         const computed = window.getComputedStyle(el);
@@ -701,9 +2253,10 @@ async function extractSlideData(page) {
 
         if (hasBg || hasBorder || hasShadow) {
           errors.push(
-            `文本元素 <${el.tagName.toLowerCase()}> 存在 ${
-              hasBg ? "背景" : hasBorder ? "边框" : "阴影"
-            }。仅 <div> 元素支持背景、边框和阴影，文本元素不支持。`
+            diagnostic(CODES.TEXT_ELEMENT_STYLE, el, {
+              tagName: el.tagName.toLowerCase(),
+              style: hasBg ? "background" : hasBorder ? "border" : "shadow",
+            })
           );
           return;
         }
@@ -714,7 +2267,9 @@ async function extractSlideData(page) {
         const rect = el.getBoundingClientRect();
         if (rect.width === 0 || rect.height === 0) {
           // 4.3 占位符尺寸为0
-          errors.push(`占位符“${el.id || "未命名"}”宽高为0。请检查布局CSS。`);
+          errors.push(
+            diagnostic(CODES.PLACEHOLDER_ZERO_SIZE, el, { id: el.id || null })
+          );
         } else {
           placeholders.push({
             id: el.id || `placeholder-${placeholders.length}`,
@@ -728,13 +2283,13 @@ async function extractSlideData(page) {
         return;
       }
 
-      // Extract images
-      if (el.tagName === "IMG") {
+      // Extract inline SVG (icons, diagrams) as images
+      if (el instanceof SVGSVGElement) {
         const rect = el.getBoundingClientRect();
         if (rect.width > 0 && rect.height > 0) {
           elements.push({
             type: "image",
-            src: el.src,
+            src: serializeSvg(el, rect),
             position: {
               x: pxToInch(rect.left),
               y: pxToInch(rect.top),
@@ -742,11 +2297,105 @@ async function extractSlideData(page) {
               h: pxToInch(rect.height),
             },
           });
+        }
+        el.querySelectorAll("*").forEach((child) => processed.add(child));
+        processed.add(el);
+        return;
+      }
+
+      // Extract images
+      if (el.tagName === "IMG") {
+        const rect = el.getBoundingClientRect();
+        if (rect.width > 0 && rect.height > 0) {
+          // The image is drawn inside the content box
+          const computed = window.getComputedStyle(el);
+          const left =
+            parseFloat(computed.borderLeftWidth) +
+            parseFloat(computed.paddingLeft);
+          const top =
+            parseFloat(computed.borderTopWidth) +
+            parseFloat(computed.paddingTop);
+          const right =
+            parseFloat(computed.borderRightWidth) +
+            parseFloat(computed.paddingRight);
+          const bottom =
+            parseFloat(computed.borderBottomWidth) +
+            parseFloat(computed.paddingBottom);
+
+          // Background color and a uniform border become a shape behind the image
+          const hasBg =
+            computed.backgroundColor &&
+            computed.backgroundColor !== "rgba(0, 0, 0, 0)";
+          const borders = [
+            computed.borderTopWidth,
+            computed.borderRightWidth,
+            computed.borderBottomWidth,
+            computed.borderLeftWidth,
+          ].map((b) => parseFloat(b) || 0);
+          const hasUniformBorder =
+            borders[0] > 0 && borders.every((b) => b === borders[0]);
+          if (hasBg || hasUniformBorder) {
+            elements.push({
+              type: "shape",
+              text: "",
+              position: {
+                x: pxToInch(rect.left),
+                y: pxToInch(rect.top),
+                w: pxToInch(rect.width),
+                h: pxToInch(rect.height),
+              },
+              shape: {
+                fill: hasBg ? rgbToHex(computed.backgroundColor) : null,
+                transparency: hasBg
+                  ? extractAlpha(computed.backgroundColor)
+                  : null,
+                line: hasUniformBorder
+                  ? {
+                      color: rgbToHex(computed.borderTopColor),
+                      width: pxToPoints(computed.borderTopWidth),
+                    }
+                  : null,
+                rectRadius: getRectRadius(computed.borderRadius, rect),
+                shadow: parseBoxShadow(computed.boxShadow),
+              },
+            });
+          }
+
+          elements.push({
+            type: "image",
+            src: el.src,
+            position: {
+              x: pxToInch(rect.left + left),
+              y: pxToInch(rect.top + top),
+              w: pxToInch(Math.max(0, rect.width - left - right)),
+              h: pxToInch(Math.max(0, rect.height - top - bottom)),
+            },
+            fit: {
+              objectFit: computed.objectFit,
+              objectPosition: computed.objectPosition,
+              naturalWidth: el.naturalWidth,
+              naturalHeight: el.naturalHeight,
+            },
+            borderRadius: computed.borderRadius,
+            insets: { left, top, right, bottom },
+          });
           processed.add(el);
           return;
         }
       }
 
+      // Extract tables as native tables (cell contents are consumed by the table)
+      if (el.tagName === "TABLE") {
+        const rect = el.getBoundingClientRect();
+        if (rect.width > 0 && rect.height > 0) {
+          const table = extractTable(el);
+          if (table) elements.push(table);
+        }
+        el.querySelectorAll("*").forEach((child) => processed.add(child));
+        processed.add(el);
+        return;
+      }
+
       // Extract DIVs with backgrounds/borders as shapes
       const isContainer =
         el.tagName === "DIV" && !textTags.includes(el.tagName);
@@ -762,21 +2411,25 @@ async function extractSlideData(page) {
           if (node.nodeType === Node.TEXT_NODE) {
             const text = node.textContent.trim();
             if (text) {
-              errors.push(
-                `DIV 元素包含未包裹文本“${text.substring(0, 50)}${
-                  text.length > 50 ? "..." : ""
-                }”。所有文本必须用 <p>、<h1>-<h6>、<ul> 或 <ol> 标签包裹，才能在 PPT 中显示。`
-              );
+              errors.push(diagnostic(CODES.UNWRAPPED_TEXT, el, { text }));
             }
           }
         }
 
         // Check for background images on shapes
+        // url() images are rendered to a picture behind the shape after extraction
         const bgImage = computed.backgroundImage;
-        if (bgImage && bgImage !== "none") {
+        const hasGradient = !!bgImage && GRADIENT_REGEX.test(bgImage);
+        const hasImage = !!bgImage && bgImage !== "none" && !hasGradient;
+        const imageLayers = hasImage
+          ? getBackgroundImageLayers(computed)
+          : null;
+        if (hasImage && !imageLayers) {
           // 4.5 DIV背景图片不支持
           errors.push(
-            "DIV 元素上的背景图片不支持。请使用纯色或边框作为形状，或用 slide.addImage() 叠加图片。"
+            diagnostic(CODES.DIV_BACKGROUND_IMAGE, el, {
+              backgroundImage: bgImage,
+            })
           );
           return;
         }
@@ -856,13 +2509,56 @@ async function extractSlideData(page) {
           }
         }
 
-        if (hasBg || hasBorder) {
+        if (hasBg || hasBorder || hasGradient || hasImage) {
           const rect = el.getBoundingClientRect();
           if (rect.width > 0 && rect.height > 0) {
             const shadow = parseBoxShadow(computed.boxShadow);
 
+            // Gradient (including background color) is rasterized to an image behind the shape
+            if (hasGradient) {
+              elements.push({
+                type: "image",
+                src: null,
+                gradient: {
+                  backgroundImage: bgImage,
+                  backgroundColor: computed.backgroundColor,
+                  borderRadius: computed.borderRadius,
+                  width: rect.width,
+                  height: rect.height,
+                },
+                position: {
+                  x: pxToInch(rect.left),
+                  y: pxToInch(rect.top),
+                  w: pxToInch(rect.width),
+                  h: pxToInch(rect.height),
+                },
+              });
+            }
+
+            // Background images (including background color) become a picture behind the shape
+            if (hasImage) {
+              elements.push({
+                type: "image",
+                src: null,
+                backgroundImage: {
+                  layers: imageLayers,
+                  backgroundColor: computed.backgroundColor,
+                  borderRadius: computed.borderRadius,
+                  width: rect.width,
+                  height: rect.height,
+                },
+                position: {
+                  x: pxToInch(rect.left),
+                  y: pxToInch(rect.top),
+                  w: pxToInch(rect.width),
+                  h: pxToInch(rect.height),
+                },
+              });
+            }
+
             // Only add shape if there's background or uniform border
-            if (hasBg || hasUniformBorder) {
+            const hasFill = hasBg && !hasGradient && !hasImage;
+            if (hasFill || hasUniformBorder) {
               elements.push({
                 type: "shape",
                 text: "", // Shape only - child text elements render on top
@@ -873,8 +2569,8 @@ async function extractSlideData(page) {
                   h: pxToInch(rect.height),
                 },
                 shape: {
-                  fill: hasBg ? rgbToHex(computed.backgroundColor) : null,
-                  transparency: hasBg
+                  fill: hasFill ? rgbToHex(computed.backgroundColor) : null,
+                  transparency: hasFill
                     ? extractAlpha(computed.backgroundColor)
                     : null,
                   line: hasUniformBorder
@@ -883,25 +2579,7 @@ async function extractSlideData(page) {
                         width: pxToPoints(computed.borderWidth),
                       }
                     : null,
-                  // Convert border-radius to rectRadius (in inches)
-                  // % values: 50%+ = circle (1), <50% = percentage of min dimension
-                  // pt values: divide by 72 (72pt = 1 inch)
-                  // px values: divide by 96 (96px = 1 inch)
-                  rectRadius: (() => {
-                    const radius = computed.borderRadius;
-                    const radiusValue = parseFloat(radius);
-                    if (radiusValue === 0) return 0;
-
-                    if (radius.includes("%")) {
-                      if (radiusValue >= 50) return 1;
-                      // Calculate percentage of smaller dimension
-                      const minDim = Math.min(rect.width, rect.height);
-                      return (radiusValue / 100) * pxToInch(minDim);
-                    }
-
-                    if (radius.includes("pt")) return radiusValue / 72;
-                    return radiusValue / PX_PER_IN;
-                  })(),
+                  rectRadius: getRectRadius(computed.borderRadius, rect),
                   shadow: shadow,
                 },
               });
@@ -938,6 +2616,27 @@ async function extractSlideData(page) {
           if (runs.length > 0) {
             runs[0].text = runs[0].text.replace(/^[•\-\*▪▸]\s*/, "");
             runs[0].options.bullet = { indent: textIndent };
+            if (el.tagName === "OL") {
+              runs[0].options.bullet.type = "number";
+              if (el.start !== 1)
+                runs[0].options.bullet.numberStartAt = el.start;
+            }
+
+            // A text-only li::before acts as a custom bullet character
+            const marker = measurePseudo(li, "::before");
+            const markerText = marker && marker.text.trim();
+            if (
+              marker &&
+              !marker.hasBg &&
+              !marker.hasBorder &&
+              [...markerText].length === 1
+            ) {
+              runs[0].options.bullet.characterCode = markerText
+                .codePointAt(0)
+                .toString(16)
+                .toUpperCase();
+              consumedPseudos.add(marker);
+            }
           }
           // Set breakLine on last run
           if (runs.length > 0 && !isLast) {
@@ -950,6 +2649,7 @@ async function extractSlideData(page) {
 
         elements.push({
           type: "list",
+          selector: getSelectorPath(el),
           items: items,
           position: {
             x: pxToInch(rect.left),
@@ -993,10 +2693,11 @@ async function extractSlideData(page) {
       // 4.6 手动符号作为项目符号
       if (el.tagName !== "LI" && /^[•\-\*▪▸○●◆◇■□]\s/.test(text.trimStart())) {
         errors.push(
-          `文本元素 <${el.tagName.toLowerCase()}> 以项目符号符号“${text.substring(
-            0,
-            20
-          )}...”开头。请使用 <ul> 或 <ol> 标签代替手动项目符号。`
+          diagnostic(CODES.MANUAL_BULLET, el, {
+            tagName: el.tagName.toLowerCase(),
+            text,
+            bullet: text.trimStart()[0],
+          })
         );
         return;
       }
@@ -1027,6 +2728,32 @@ async function extractSlideData(page) {
 
       if (rotation !== null) baseStyle.rotate = rotation;
 
+      // An in-line ::before pushes the text right; inset the text box so the
+      // pseudo-element shape doesn't overlap the text
+      const beforePseudo = measurePseudo(el, "::before");
+      if (
+        beforePseudo &&
+        rotation === null &&
+        (baseStyle.align === "left" || baseStyle.align === "justify")
+      ) {
+        const range = document.createRange();
+        range.selectNodeContents(el);
+        const firstLine = range.getClientRects()[0];
+        if (
+          firstLine &&
+          beforePseudo.rect.right <= firstLine.left + 1 &&
+          beforePseudo.rect.bottom > firstLine.top &&
+          beforePseudo.rect.top < firstLine.bottom
+        ) {
+          const contentLeft =
+            rect.left +
+            (parseFloat(computed.borderLeftWidth) || 0) +
+            (parseFloat(computed.paddingLeft) || 0);
+          const shift = firstLine.left - contentLeft;
+          if (shift > 0) baseStyle.margin[0] += shift * PT_PER_PX;
+        }
+      }
+
       const hasFormatting = el.querySelector("b, i, u, strong, em, span, br");
 
       if (hasFormatting) {
@@ -1052,6 +2779,7 @@ async function extractSlideData(page) {
 
         elements.push({
           type: el.tagName.toLowerCase(),
+          selector: getSelectorPath(el),
           text: runs,
           position: {
             x: pxToInch(x),
@@ -1072,6 +2800,7 @@ async function extractSlideData(page) {
 
         elements.push({
           type: el.tagName.toLowerCase(),
+          selector: getSelectorPath(el),
           text: transformedText,
           position: {
             x: pxToInch(x),
@@ -1089,23 +2818,73 @@ async function extractSlideData(page) {
       }
 
       processed.add(el);
+    };
+
+    // ::before paints above the owner's own box, ::after above all of its descendants
+    const pendingAfter = [];
+    const flushPendingAfter = (el) => {
+      while (
+        pendingAfter.length > 0 &&
+        !(el && pendingAfter[pendingAfter.length - 1].owner.contains(el))
+      ) {
+        elements.push(...pendingAfter.pop().elements);
+      }
+    };
+
+    document.querySelectorAll("*").forEach((el) => {
+      flushPendingAfter(el);
+      extractElement(el);
+
+      if (el === body || el.closest("head")) return;
+      const before = measurePseudo(el, "::before");
+      if (before && !consumedPseudos.has(before)) {
+        elements.push(...pseudoToElements(before));
+      }
+      const after = measurePseudo(el, "::after");
+      if (after && !consumedPseudos.has(after)) {
+        pendingAfter.push({ owner: el, elements: pseudoToElements(after) });
+      }
     });
+    flushPendingAfter(null);
+    pseudoProbeStyle.remove();
 
     return { background, elements, placeholders, errors };
-  });
+  }, args);
 }
 
-async function html2pptx(htmlFile, pres, options = {}) {
-  const { tmpDir = process.env.TMPDIR || "/tmp", slide = null } = options;
+// Launch a browser that can be shared across html2pptx calls via options.browser
+async function launchBrowser(options = {}) {
+  const { tmpDir = process.env.TMPDIR || "/tmp" } = options;
 
-  try {
-    // Use Chrome on macOS, default Chromium on Unix
-    const launchOptions = { env: { TMPDIR: tmpDir } };
-    if (process.platform === "darwin") {
-      launchOptions.channel = "chrome";
-    }
+  // Use Chrome on macOS, default Chromium on Unix
+  const launchOptions = { env: { TMPDIR: tmpDir } };
+  if (process.platform === "darwin") {
+    launchOptions.channel = "chrome";
+  }
+
+  return chromium.launch(launchOptions);
+}
+
+// Render, extract and validate an HTML slide without touching the presentation.
+// Safe to run concurrently; the returned data is added with renderSlide().
+async function prepareSlide(htmlFile, pres, options = {}) {
+  const {
+    tmpDir = process.env.TMPDIR || "/tmp",
+    browser: sharedBrowser = null,
+    keepPage = false,
+    lang = getLang(),
+    imageDpi = DEFAULT_IMAGE_DPI,
+    svgMode = "png",
+    iconFonts = DEFAULT_ICON_FONTS,
+  } = options;
+
+  // The loaded page can only outlive this call when the caller owns the browser
+  const keepPageOpen = keepPage && !!sharedBrowser;
+  let page = null;
 
-    const browser = await chromium.launch(launchOptions);
+  try {
+    const browser = sharedBrowser || (await launchBrowser({ tmpDir }));
+    const imageDir = getScratchDir(pres, tmpDir);
 
     let bodyDimensions;
     let slideData;
@@ -1116,10 +2895,11 @@ async function html2pptx(htmlFile, pres, options = {}) {
     const validationErrors = [];
 
     try {
-      const page = await browser.newPage();
+      // Rendered at the image DPI so icon captures are sharp; layout is unchanged
+      page = await browser.newPage({ deviceScaleFactor: imageDpi / PX_PER_IN });
       page.on("console", (msg) => {
         // Log the message text to your test runner's console
-        console.log(`Browser console: ${msg.text()}`);
+        console.log(t("html2pptx.browserConsole", { text: msg.text() }, lang));
       });
 
       await page.goto(`file://${filePath}`);
@@ -1131,9 +2911,18 @@ async function html2pptx(htmlFile, pres, options = {}) {
         height: Math.round(bodyDimensions.height),
       });
 
-      slideData = await extractSlideData(page);
+      slideData = await extractSlideData(page, { iconFonts });
+
+      await captureIcons(slideData, page, { tmpDir: imageDir, lang });
+      await rasterizeGradients(slideData, browser, imageDir, lang);
+      maskRoundedImages(slideData);
+      await rasterizeBackgroundImages(slideData, imageDir, lang);
     } finally {
-      await browser.close();
+      if (!sharedBrowser) {
+        await browser.close();
+      } else if (!keepPageOpen && page) {
+        await page.close();
+      }
     }
 
     // Collect all validation errors
@@ -1160,32 +2949,82 @@ async function html2pptx(htmlFile, pres, options = {}) {
 
     // Throw all errors at once if any exist
     if (validationErrors.length > 0) {
+      validationErrors.forEach((d) => {
+        d.message = formatDiagnostic(d, lang);
+      });
+
       // 6. html2pptx 主函数内多条报错合并
       const errorMessage =
         validationErrors.length === 1
-          ? validationErrors[0]
-          : `发现多个校验错误：\n${validationErrors
-              .map((e, i) => `  ${i + 1}. ${e}`)
-              .join("\n")}`;
-      throw new Error(errorMessage);
+          ? validationErrors[0].message
+          : t(
+              "diag.multiple",
+              {
+                list: validationErrors
+                  .map((e, i) => `  ${i + 1}. ${e.message}`)
+                  .join("\n"),
+              },
+              lang
+            );
+      const validationError = new Error(errorMessage);
+      validationError.diagnostics = validationErrors;
+      throw validationError;
     }
 
-    const targetSlide = slide || pres.addSlide();
-
     // Pre-download images before adding elements
-    await preDownloadImages(slideData);
-
-    await addBackground(slideData, targetSlide, tmpDir);
-    addElements(slideData, targetSlide, pres);
+    await preDownloadImages(slideData, lang);
+    await normalizeImages(slideData, bodyDimensions, {
+      tmpDir: imageDir,
+      dpi: imageDpi,
+      svgMode,
+      lang,
+    });
 
-    return { slide: targetSlide, placeholders: slideData.placeholders };
+    const prepared = {
+      htmlFile,
+      slideData,
+      placeholders: slideData.placeholders,
+    };
+    if (keepPageOpen) prepared.page = page;
+    return prepared;
   } catch (error) {
+    if (keepPageOpen && page) {
+      await page.close().catch(() => {});
+    }
+
     // 7. html2pptx 主函数内最终报错
     if (!error.message.startsWith(htmlFile)) {
-      throw new Error(`${htmlFile}: ${error.message}`);
+      const wrapped = new Error(`${htmlFile}: ${error.message}`);
+      if (error.diagnostics) wrapped.diagnostics = error.diagnostics;
+      throw wrapped;
     }
     throw error;
   }
 }
 
+// Add a slide produced by prepareSlide() to the presentation
+async function renderSlide(prepared, pres, options = {}) {
+  const { tmpDir = process.env.TMPDIR || "/tmp", slide = null } = options;
+
+  const targetSlide = slide || pres.addSlide();
+
+  await addBackground(prepared.slideData, targetSlide, tmpDir);
+  addElements(prepared.slideData, targetSlide, pres);
+
+  const result = { slide: targetSlide, placeholders: prepared.placeholders };
+  if (prepared.page) result.page = prepared.page;
+  return result;
+}
+
+async function html2pptx(htmlFile, pres, options = {}) {
+  const prepared = await prepareSlide(htmlFile, pres, options);
+  return renderSlide(prepared, pres, options);
+}
+
 module.exports = html2pptx;
+module.exports.launchBrowser = launchBrowser;
+module.exports.prepareSlide = prepareSlide;
+module.exports.renderSlide = renderSlide;
+module.exports.writePresentation = writePresentation;
+module.exports.DIAGNOSTIC_CODES = DIAGNOSTIC_CODES;
+module.exports.DEFAULT_ICON_FONTS = DEFAULT_ICON_FONTS;
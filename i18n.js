@@ -0,0 +1,525 @@
+/**
+ * 消息目录
+ * html2pptx 校验错误、convert.js 和 auto_fix.js 的所有输出文本（中文 / 英文）
+ *
+ * 使用说明：
+ *   const { t, setLang } = require('./i18n.js');
+ *   setLang('en');
+ *   t('convert.pptxSaved', { file: 'output.pptx' });
+ *
+ * 模板中的 {name} 会被 params.name 替换；当前语言缺少某条消息时回退到中文。
+ */
+
+const DEFAULT_LANG = "zh";
+
+const messages = {
+  zh: {
+    // html2pptx 校验诊断
+    "diag.BODY_OVERFLOW":
+      "HTML 内容超出 body 区域（{width}x{height}）：{directions}{reminder} ",
+    "diag.BODY_OVERFLOW.horizontal": "{px}px 水平方向",
+    "diag.BODY_OVERFLOW.vertical": "{px}px 垂直方向",
+    "diag.BODY_OVERFLOW.join": " 和 ",
+    "diag.BODY_OVERFLOW.reminder":
+      "（注意：幻灯片底部需预留 48px(0.5 英寸)边距）",
+    "diag.DIMENSION_MISMATCH":
+      "HTML 尺寸（{htmlWidthPx}px × {htmlHeightPx}px）与 PPT 布局（{layoutWidthPx}px × {layoutHeightPx}px）不匹配",
+    "diag.TEXT_NEAR_BOTTOM":
+      '文本框"{text}"距离底部过近（{distanceFromBottomPx}px，至少需 {minBottomMarginPx}px）',
+    "diag.TEXT_ELEMENT_STYLE":
+      "文本元素 <{tagName}> 存在 {style}。仅 <div> 元素支持背景、边框和阴影，文本元素不支持。",
+    "diag.INLINE_MARGIN":
+      "内联元素 <{tagName}> 存在 {property}，PPT 不支持。请移除内联元素的 margin。",
+    "diag.PLACEHOLDER_ZERO_SIZE": "占位符“{id}”宽高为0。请检查布局CSS。",
+    "diag.UNWRAPPED_TEXT":
+      "DIV 元素包含未包裹文本“{text}”。所有文本必须用 <p>、<h1>-<h6>、<ul> 或 <ol> 标签包裹，才能在 PPT 中显示。",
+    "diag.DIV_BACKGROUND_IMAGE":
+      "DIV 元素上的背景图片不支持。仅支持 url() 图片和CSS渐变，请改用这两种形式或纯色背景。",
+    "diag.MANUAL_BULLET":
+      "文本元素 <{tagName}> 以项目符号符号“{text}...”开头。请使用 <ul> 或 <ol> 标签代替手动项目符号。",
+    "diag.multiple": "发现多个校验错误：\n{list}",
+    "style.background": "背景",
+    "style.border": "边框",
+    "style.shadow": "阴影",
+    unnamed: "未命名",
+
+    // html2pptx 运行日志
+    "html2pptx.gradientFailed":
+      "警告：渐变 {gradient} 渲染失败。错误：{error}。",
+    "html2pptx.iconFailed": "警告：图标截取失败。错误：{error}。已跳过此图标。",
+    "html2pptx.backgroundImageFailed":
+      "警告：背景图片 {image} 渲染失败。错误：{error}。已跳过此图片。",
+    "html2pptx.downloadingImage": "正在下载图片：{src}",
+    "html2pptx.imageNormalizeFailed":
+      "警告：图片 {src} 转换/压缩失败。错误：{error}。将使用原图。",
+    "html2pptx.imageDownloaded": "已下载并转换 {src}...",
+    "html2pptx.imageDownloadFailed":
+      "警告：图片 {src} 下载失败。错误：{error}。已跳过此图片。",
+    "html2pptx.browserConsole": "浏览器控制台：{text}",
+
+    // convert.js
+    "convert.playwrightMissing":
+      "⚠️  Playwright未安装，图表截取功能不可用。运行: npm install playwright",
+    "convert.chartConfigReadFailed": "读取Chart.js配置失败: {error}",
+    "convert.chartCaptureFailed": "图表截取失败: {error}",
+    "convert.unsupportedChartType": "不支持的图表类型: {type}",
+    "convert.missingSeries": "缺少 series 数据",
+    "convert.defaultSeriesName": "系列{index}",
+    "convert.invalidChartEntry": "图表条目 {entry} 无效: {error}",
+    "convert.chartsLoadFailed": "加载图表数据失败: {error}",
+    "convert.chartPlaceholderMissing": "    未找到图表 {id} 的占位符，跳过",
+    "convert.chartNoImage": "    图表 {id} 无法生成原生图表，且没有截图数据",
+    "convert.chartFallbackImage":
+      "    图表 {id} ({type}) 无法转换为原生图表，使用截图",
+    "convert.chartInsertFailed": "插入图表失败 ({id}): {error}",
+    "convert.directSuccess": "  ✓ 直接转换成功",
+    "convert.firstAttemptFailed": "  ⚠️  初次转换失败: {error}...",
+    "convert.tryingAutoFix":
+      "  🔧 尝试auto_fix修复（第 {round}/{maxRounds} 轮）...",
+    "convert.autoFixApplied": "  ✓ auto_fix修复成功，重新转换...",
+    "convert.retrySuccess": "  ✓ 修复后转换成功（共 {rounds} 轮修复）",
+    "convert.fixNoProgress": "  ⚠️  第 {round} 轮修复后错误没有变化，停止修复",
+    "convert.fixMaxRounds": "  ⚠️  已达到最大修复轮数（{maxRounds}），停止修复",
+    "convert.fixRounds": "  修复记录:",
+    "convert.fixRound": "    第 {round} 轮: {fixers}",
+    "convert.dryRunSkip": "  ⚠️  dry-run 模式未修改HTML文件，跳过重新转换",
+    "convert.diffHeader": "  📝 {fixer}: {description}",
+    "convert.diffWritten": "  📝 {fixer} 的diff已写入: {file}",
+    "convert.retryFailed": "  ✗ 修复后仍转换失败: {error}...",
+    "convert.autoFixNotApplicable": "  ⚠️  auto_fix无法修复此错误",
+    "convert.autoFixError": "  ✗ auto_fix修复过程出错: {error}",
+    "convert.chartsLoaded": "{indent}从文件加载 {count} 个图表",
+    "convert.capturingCharts": "{indent}正在截取图表...",
+    "convert.chartsCaptured": "{indent}截取到 {count} 个图表",
+    "convert.startFile": "\n开始转换文件: {file}",
+    "convert.workDir":
+      "工作目录: {dir}（修复只作用于其中的副本，原文件不会被修改）",
+    "convert.workDirIsSource": "工作目录不能是HTML文件所在目录: {dir}",
+    "convert.fileFailed": "✗ 转换失败: {error}",
+    "convert.fileConverted": "✓ 成功转换 (方法: {method}): {file}",
+    "convert.pptxSaved": "\n✓ PPTX 文件已保存: {file}",
+    "convert.noHtmlFiles": '✗ 文件夹 "{folder}" 中没有找到HTML文件',
+    "convert.foundHtmlFiles": "\n找到 {count} 个HTML文件:",
+    "convert.startFolder": "\n开始转换...\n",
+    "convert.concurrency": "并发数: {concurrency}\n",
+    "convert.finalFailed": "  ✗ 最终转换失败 ({file})",
+    "convert.skipFile": "    ⏭️  跳过此文件，继续处理下一个...",
+    "convert.addSlideFailed": "  ✗ 添加幻灯片失败 ({file}): {error}",
+    "convert.folderFileFailed": "  ✗ 处理失败 ({file}): {error}",
+    "convert.summarySaved": "\n✓ PPTX文件已保存: {file}",
+    "convert.summarySlides": "  包含幻灯片: {count} 张",
+    "convert.summaryDirect": "  直接转换成功: {count} 个",
+    "convert.summaryAutoFixed": "  auto_fix修复后成功: {count} 个",
+    "convert.summarySkipped": "  跳过文件: {count} 个",
+    "convert.skippedDetails": "\n⚠️  跳过的文件详情:",
+    "convert.allFailed": "\n✗ 所有文件转换失败，无法生成PPTX",
+    "convert.failedDetails": "\n失败文件详情:",
+    "convert.noBackups": "{file}: 没有备份记录",
+    "convert.backupEntry": "  {id}  修复前状态（随后运行: {fixers}）",
+    "convert.noBackupAfter": "{file}: 没有不早于 {id} 的备份，保持不变",
+    "convert.restoredOriginal": "✓ {file} 已恢复到原始状态",
+    "convert.restored": "✓ {file} 已恢复到备份 {id}（该轮修复之前）",
+    "convert.invalidConcurrency": "✗ 无效的并发数: {value}",
+    "convert.invalidMaxFixRounds": "✗ 无效的最大修复轮数: {value}",
+    "convert.invalidImageDpi": "✗ 无效的图片分辨率: {value}",
+    "convert.invalidSvgMode": "✗ 无效的SVG模式: {value}（可选: png|native）",
+    "convert.invalidLang": "✗ 不支持的语言: {value}（可选: {langs}）",
+    "convert.pathNotFound": "✗ 路径不存在: {path}",
+    "convert.fatalError": "\n✗ 发生错误:",
+    "convert.help": `
+HTML to PPTX 转换工具 (自动图表截取 + 智能修复)
+
+使用方法:
+  转换整个文件夹:
+    node convert.js --folder <文件夹路径> --output <输出文件.pptx>
+
+  转换单个文件:
+    node convert.js --file <HTML文件路径> --output <输出文件.pptx>
+
+  恢复修复前的HTML:
+    node convert.js --restore <HTML文件或文件夹> [--to <备份id>|original] [--list]
+
+示例:
+  node convert.js --folder slides --output merged.pptx
+  node convert.js --file slides/slide_01_cover.html --output single.pptx
+  node convert.js --folder slides --output merged.pptx --concurrency 4
+  node convert.js --folder slides --output merged.pptx --lang en
+  node convert.js --folder slides --output merged.pptx --dry-run --diff-dir diffs
+
+参数:
+  --folder         指定包含HTML文件的文件夹路径
+  --file           指定单个HTML文件路径
+  --output         指定输出的PPTX文件名（可选，默认为 output.pptx）
+  --concurrency    并行转换的文件数（可选，默认为 1，仅用于 --folder）
+  --max-fix-rounds 修复 → 重新转换 的最大轮数（可选，默认为 3，0 表示不修复）
+  --image-dpi      图片按显示尺寸缩小到的分辨率（可选，默认为 220）
+  --svg-mode       SVG图标和图片的嵌入方式 png|native（可选，默认为 png；native 保留矢量，需 PowerPoint 2016 及以上）
+  --icon-fonts     截取为图片的图标字体，以逗号分隔（可选，默认为 Font Awesome、Material Icons 等常见图标字体）
+  --dry-run        不修改HTML文件，只输出修复器将要做的修改（unified diff）
+  --diff-dir       将修复diff写入指定目录（可选，隐含 --dry-run）
+  --work-dir       工作目录，输入的副本和修复后的HTML保存在此（可选，默认为 <输出文件名>_work）
+  --restore        将HTML文件或文件夹恢复到备份记录的状态（备份位于 .autofix-backups）
+  --to             恢复目标：original（默认，原始状态）或备份id（恢复到该轮修复之前）
+  --list           与 --restore 一起使用，只列出备份历史
+  --fixer-config   修复器配置文件（JSON：plugins、enable、disable、priority、order）
+  --fixer-plugins  加载修复器插件的本地目录
+  --enable-fixers  启用的修复器名称，以逗号分隔
+  --disable-fixers 禁用的修复器名称，以逗号分隔
+  --lang           输出语言 zh|en（可选，默认为 zh）
+
+转换策略:
+  ✓ 原HTML文件不会被修改，修复和转换都在工作目录中的副本上进行
+  ✓ 首先尝试直接转换
+  ✓ 转换失败时自动调用auto_fix修复
+  ✓ 修复后重新尝试转换，循环直至成功、无修复器可用、错误不再变化或达到最大轮数
+  ✓ 无法修复的文件自动跳过
+  ✓ 显示详细的转换统计信息
+  ✓ 所有幻灯片共享一个浏览器，图表截取复用已加载的页面
+
+图表功能:
+  ✓ 默认启用图表截取功能
+  ✓ 自动检测Canvas图表元素
+  ✓ Chart.js图表转换为可编辑的原生图表，无法映射时回退为截图
+  ✓ 优先使用.charts.json文件，否则实时截取
+  ✓ .charts.json支持声明式图表条目（chartType），生成原生图表
+  ✓ 支持占位符匹配
+  ✓ 向后兼容，无Playwright时跳过图表
+    `,
+
+    // auto_fix.js
+    "autoFix.backupCreated": "  📋 已备份原文件: {file}",
+    "autoFix.saved": "  ✓ 已保存修复: {description}",
+    "autoFix.checkingFixer": "检查修复器: {fixer}",
+    "autoFix.usingFixer": "  🎯 使用修复器: {fixer}",
+    "autoFix.appliedFixers": "  ✅ 已应用修复器: {fixers}",
+    "autoFix.noFixer": "  ❌ 未找到适合的修复器",
+    "autoFix.invalidFixer": "修复器 {fixer} 必须继承 ErrorFixer",
+    "autoFix.unknownFixer": "未注册的修复器: {fixer}（已注册: {fixers}）",
+    "autoFix.invalidPlugin":
+      "插件 {file} 必须导出 ErrorFixer 子类、子类数组或注册函数",
+    "autoFix.pluginLoaded": "已加载修复器插件: {file}",
+    "autoFix.dryRun": "  📝 dry-run：修复只在内存中应用，未修改HTML文件",
+    "autoFix.textElementBorder.tagCount": "{count}个<{tagName}>",
+    "autoFix.textElementBorder.listJoin": "、",
+    "autoFix.textElementBorder.description":
+      "将{tags}元素的{style}样式移至外层<div>",
+    "autoFix.unwrappedText.description":
+      "为{count}个DIV元素的文本添加了标签包裹",
+    "autoFix.inlineMargin.description":
+      "移除了{count}个内联元素的 margin，改用空格、换行或段落间距保持间隔",
+    "autoFix.manualBullet.description":
+      "将{items}个手动项目符号段落转换为{lists}个列表",
+    "autoFix.bodyOverflow.description":
+      "将字号、行高、gap 和内边距缩小到原来的{percent}%，内容不再超出 body",
+    "autoFix.bodyOverflow.cannotFit":
+      "  ⚠️ 字号、行高和间距缩小到下限后内容仍超出 body：水平 {width}px，垂直 {height}px",
+    "autoFix.bottomMargin.description":
+      "调整了{count}处位置或间距，文本框距底部至少 {min}px",
+    "autoFix.bottomMargin.cannotFit":
+      "  ⚠️ 无法在不溢出的情况下让文本框距底部至少 {min}px，仍差 {px}px",
+    "autoFix.placeholderSize.description":
+      "为{count}个零尺寸占位符设置了明确的宽高",
+    "autoFix.placeholderSize.stillZero":
+      "  ⚠️ 占位符“{id}”设置宽高后仍为0，请检查布局CSS",
+  },
+
+  en: {
+    // html2pptx validation diagnostics
+    "diag.BODY_OVERFLOW":
+      "HTML content overflows body ({width}x{height}): {directions}{reminder} ",
+    "diag.BODY_OVERFLOW.horizontal": "{px}px horizontally",
+    "diag.BODY_OVERFLOW.vertical": "{px}px vertically",
+    "diag.BODY_OVERFLOW.join": " and ",
+    "diag.BODY_OVERFLOW.reminder":
+      " (note: leave a 48px (0.5 inch) margin at the bottom of the slide)",
+    "diag.DIMENSION_MISMATCH":
+      "HTML dimensions ({htmlWidthPx}px × {htmlHeightPx}px) don't match presentation layout ({layoutWidthPx}px × {layoutHeightPx}px)",
+    "diag.TEXT_NEAR_BOTTOM":
+      'Text box "{text}" is too close to the bottom ({distanceFromBottomPx}px, at least {minBottomMarginPx}px required)',
+    "diag.TEXT_ELEMENT_STYLE":
+      "Text element <{tagName}> has a {style}. Backgrounds, borders and shadows are only supported on <div> elements, not on text elements.",
+    "diag.INLINE_MARGIN":
+      "Inline element <{tagName}> has {property}, which PowerPoint does not support. Remove margins from inline elements.",
+    "diag.PLACEHOLDER_ZERO_SIZE":
+      'Placeholder "{id}" has zero width or height. Check the layout CSS.',
+    "diag.UNWRAPPED_TEXT":
+      'DIV element contains unwrapped text "{text}". All text must be wrapped in <p>, <h1>-<h6>, <ul> or <ol> tags to appear in PowerPoint.',
+    "diag.DIV_BACKGROUND_IMAGE":
+      "This background image on a DIV element is not supported. Only url() images and CSS gradients are supported; use one of those or a solid color.",
+    "diag.MANUAL_BULLET":
+      'Text element <{tagName}> starts with bullet symbol "{text}...". Use <ul> or <ol> lists instead of manual bullet symbols.',
+    "diag.multiple": "Multiple validation errors found:\n{list}",
+    "style.background": "background",
+    "style.border": "border",
+    "style.shadow": "shadow",
+    unnamed: "unnamed",
+
+    // html2pptx runtime logs
+    "html2pptx.gradientFailed":
+      "Warning: Failed to rasterize gradient {gradient}. Error: {error}.",
+    "html2pptx.iconFailed":
+      "Warning: Failed to capture icon. Error: {error}. Skipping this icon.",
+    "html2pptx.backgroundImageFailed":
+      "Warning: Failed to render background image {image}. Error: {error}. Skipping this image.",
+    "html2pptx.downloadingImage": "Downloading image: {src}",
+    "html2pptx.imageNormalizeFailed":
+      "Warning: Failed to convert/downsample image {src}. Error: {error}. Using the original image.",
+    "html2pptx.imageDownloaded":
+      "Successfully downloaded and converted {src}...",
+    "html2pptx.imageDownloadFailed":
+      "Warning: Failed to download image {src}. Error: {error}. Skipping this image.",
+    "html2pptx.browserConsole": "Browser console: {text}",
+
+    // convert.js
+    "convert.playwrightMissing":
+      "⚠️  Playwright is not installed, chart capture is unavailable. Run: npm install playwright",
+    "convert.chartConfigReadFailed": "Failed to read Chart.js config: {error}",
+    "convert.chartCaptureFailed": "Chart capture failed: {error}",
+    "convert.unsupportedChartType": "Unsupported chart type: {type}",
+    "convert.missingSeries": "Missing series data",
+    "convert.defaultSeriesName": "Series {index}",
+    "convert.invalidChartEntry": "Invalid chart entry {entry}: {error}",
+    "convert.chartsLoadFailed": "Failed to load chart data: {error}",
+    "convert.chartPlaceholderMissing":
+      "    No placeholder found for chart {id}, skipping",
+    "convert.chartNoImage":
+      "    Chart {id} cannot be converted to a native chart and has no screenshot",
+    "convert.chartFallbackImage":
+      "    Chart {id} ({type}) cannot be converted to a native chart, using screenshot",
+    "convert.chartInsertFailed": "Failed to insert chart ({id}): {error}",
+    "convert.directSuccess": "  ✓ Converted directly",
+    "convert.firstAttemptFailed":
+      "  ⚠️  First conversion attempt failed: {error}...",
+    "convert.tryingAutoFix":
+      "  🔧 Trying auto_fix (round {round}/{maxRounds})...",
+    "convert.autoFixApplied": "  ✓ auto_fix applied, converting again...",
+    "convert.retrySuccess": "  ✓ Converted after fixing ({rounds} round(s))",
+    "convert.fixNoProgress":
+      "  ⚠️  Errors unchanged after fix round {round}, stopping",
+    "convert.fixMaxRounds":
+      "  ⚠️  Reached the maximum number of fix rounds ({maxRounds}), stopping",
+    "convert.fixRounds": "  Fix history:",
+    "convert.fixRound": "    Round {round}: {fixers}",
+    "convert.dryRunSkip":
+      "  ⚠️  Dry run left the HTML file unchanged, skipping reconversion",
+    "convert.diffHeader": "  📝 {fixer}: {description}",
+    "convert.diffWritten": "  📝 Diff of {fixer} written to: {file}",
+    "convert.retryFailed":
+      "  ✗ Conversion still failed after fixing: {error}...",
+    "convert.autoFixNotApplicable": "  ⚠️  auto_fix cannot fix this error",
+    "convert.autoFixError": "  ✗ auto_fix failed: {error}",
+    "convert.chartsLoaded": "{indent}Loaded {count} chart(s) from file",
+    "convert.capturingCharts": "{indent}Capturing charts...",
+    "convert.chartsCaptured": "{indent}Captured {count} chart(s)",
+    "convert.startFile": "\nConverting file: {file}",
+    "convert.workDir":
+      "Working directory: {dir} (fixes only touch the copies there, original files are never modified)",
+    "convert.workDirIsSource":
+      "The working directory cannot be the folder containing the HTML files: {dir}",
+    "convert.fileFailed": "✗ Conversion failed: {error}",
+    "convert.fileConverted": "✓ Converted (method: {method}): {file}",
+    "convert.pptxSaved": "\n✓ PPTX file saved: {file}",
+    "convert.noHtmlFiles": '✗ No HTML files found in folder "{folder}"',
+    "convert.foundHtmlFiles": "\nFound {count} HTML file(s):",
+    "convert.startFolder": "\nConverting...\n",
+    "convert.concurrency": "Concurrency: {concurrency}\n",
+    "convert.finalFailed": "  ✗ Conversion failed ({file})",
+    "convert.skipFile": "    ⏭️  Skipping this file and continuing...",
+    "convert.addSlideFailed": "  ✗ Failed to add slide ({file}): {error}",
+    "convert.folderFileFailed": "  ✗ Processing failed ({file}): {error}",
+    "convert.summarySaved": "\n✓ PPTX file saved: {file}",
+    "convert.summarySlides": "  Slides: {count}",
+    "convert.summaryDirect": "  Converted directly: {count}",
+    "convert.summaryAutoFixed": "  Converted after auto_fix: {count}",
+    "convert.summarySkipped": "  Skipped files: {count}",
+    "convert.skippedDetails": "\n⚠️  Skipped files:",
+    "convert.allFailed": "\n✗ All files failed to convert, no PPTX generated",
+    "convert.failedDetails": "\nFailed files:",
+    "convert.noBackups": "{file}: no backups recorded",
+    "convert.backupEntry": "  {id}  state before fixing (then ran: {fixers})",
+    "convert.noBackupAfter":
+      "{file}: no backup at or after {id}, left unchanged",
+    "convert.restoredOriginal": "✓ {file} restored to its original state",
+    "convert.restored":
+      "✓ {file} restored to backup {id} (before that fix round)",
+    "convert.invalidConcurrency": "✗ Invalid concurrency: {value}",
+    "convert.invalidMaxFixRounds": "✗ Invalid maximum fix rounds: {value}",
+    "convert.invalidImageDpi": "✗ Invalid image DPI: {value}",
+    "convert.invalidSvgMode":
+      "✗ Invalid SVG mode: {value} (available: png|native)",
+    "convert.invalidLang":
+      "✗ Unsupported language: {value} (available: {langs})",
+    "convert.pathNotFound": "✗ Path does not exist: {path}",
+    "convert.fatalError": "\n✗ Error:",
+    "convert.help": `
+HTML to PPTX converter (chart capture + auto fix)
+
+Usage:
+  Convert a folder:
+    node convert.js --folder <folder> --output <output.pptx>
+
+  Convert a single file:
+    node convert.js --file <file.html> --output <output.pptx>
+
+  Restore HTML from before fixing:
+    node convert.js --restore <file.html or folder> [--to <backup id>|original] [--list]
+
+Examples:
+  node convert.js --folder slides --output merged.pptx
+  node convert.js --file slides/slide_01_cover.html --output single.pptx
+  node convert.js --folder slides --output merged.pptx --concurrency 4
+  node convert.js --folder slides --output merged.pptx --lang en
+  node convert.js --folder slides --output merged.pptx --dry-run --diff-dir diffs
+
+Options:
+  --folder         Folder containing the HTML slides
+  --file           A single HTML file
+  --output         Output PPTX file (optional, defaults to output.pptx)
+  --concurrency    Number of files converted in parallel (optional, defaults to 1, --folder only)
+  --max-fix-rounds Maximum fix → reconvert rounds (optional, defaults to 3, 0 disables fixing)
+  --image-dpi      Resolution images are downsampled to at their displayed size (optional, defaults to 220)
+  --svg-mode       How SVG icons and images are embedded: png|native (optional, defaults to png; native keeps vectors, needs PowerPoint 2016 or later)
+  --icon-fonts     Comma-separated icon font families captured as images (optional, defaults to common ones like Font Awesome and Material Icons)
+  --dry-run        Leave HTML files untouched and print what the fixers would change (unified diff)
+  --diff-dir       Write fix diffs to this folder (optional, implies --dry-run)
+  --work-dir       Working directory for input copies and fixed HTML (optional, defaults to <output name>_work)
+  --restore        Roll an HTML file or folder back to a recorded state (backups live in .autofix-backups)
+  --to             Restore target: original (default) or a backup id (the state before that fix round)
+  --list           With --restore, only list the backup history
+  --fixer-config   Fixer config file (JSON: plugins, enable, disable, priority, order)
+  --fixer-plugins  Local folder to load fixer plugins from
+  --enable-fixers  Comma-separated fixer names to enable
+  --disable-fixers Comma-separated fixer names to disable
+  --lang           Output language zh|en (optional, defaults to zh)
+
+Conversion strategy:
+  ✓ Original HTML files are never modified; fixing and conversion use copies in the working directory
+  ✓ Try a direct conversion first
+  ✓ Run auto_fix when the conversion fails
+  ✓ Retry after fixing, looping until success, no applicable fixer, unchanged errors or the round limit
+  ✓ Skip files that cannot be fixed
+  ✓ Print detailed conversion statistics
+  ✓ All slides share one browser; chart capture reuses the loaded page
+
+Charts:
+  ✓ Chart capture is enabled by default
+  ✓ Canvas chart elements are detected automatically
+  ✓ Chart.js charts become editable native charts, falling back to screenshots
+  ✓ .charts.json files take precedence over live capture
+  ✓ .charts.json supports declarative chart entries (chartType) for native charts
+  ✓ Charts are matched to placeholders
+  ✓ Backwards compatible: charts are skipped without Playwright
+    `,
+
+    // auto_fix.js
+    "autoFix.backupCreated": "  📋 Backed up original file: {file}",
+    "autoFix.saved": "  ✓ Saved fix: {description}",
+    "autoFix.checkingFixer": "Checking fixer: {fixer}",
+    "autoFix.usingFixer": "  🎯 Using fixer: {fixer}",
+    "autoFix.appliedFixers": "  ✅ Applied fixers: {fixers}",
+    "autoFix.noFixer": "  ❌ No suitable fixer found",
+    "autoFix.invalidFixer": "Fixer {fixer} must extend ErrorFixer",
+    "autoFix.unknownFixer": "Unknown fixer: {fixer} (registered: {fixers})",
+    "autoFix.invalidPlugin":
+      "Plugin {file} must export an ErrorFixer subclass, an array of subclasses or a register function",
+    "autoFix.pluginLoaded": "Loaded fixer plugin: {file}",
+    "autoFix.dryRun":
+      "  📝 Dry run: fixes were applied in memory only, the HTML file was not modified",
+    "autoFix.textElementBorder.tagCount": "{count} <{tagName}>",
+    "autoFix.textElementBorder.listJoin": ", ",
+    "autoFix.textElementBorder.description":
+      "Moved {style} styles of {tags} element(s) to a wrapping <div>",
+    "autoFix.unwrappedText.description":
+      "Wrapped the text of {count} DIV element(s) in tags",
+    "autoFix.inlineMargin.description":
+      "Removed margins from {count} inline element(s), keeping the spacing with spaces, line breaks or paragraph spacing",
+    "autoFix.manualBullet.description":
+      "Converted {items} paragraph(s) with manual bullets into {lists} list(s)",
+    "autoFix.bodyOverflow.description":
+      "Scaled font sizes, line heights, gaps and paddings to {percent}% so the content fits the body",
+    "autoFix.bodyOverflow.cannotFit":
+      "  ⚠️ Content still overflows the body with font sizes, line heights and spacing at their lower bounds: {width}px horizontally, {height}px vertically",
+    "autoFix.bottomMargin.description":
+      "Adjusted {count} position(s) or spacing value(s) so text boxes are at least {min}px from the bottom",
+    "autoFix.bottomMargin.cannotFit":
+      "  ⚠️ Could not keep text boxes at least {min}px from the bottom without overflowing, still {px}px short",
+    "autoFix.placeholderSize.description":
+      "Gave {count} zero-size placeholder(s) an explicit width and height",
+    "autoFix.placeholderSize.stillZero":
+      '  ⚠️ Placeholder "{id}" is still zero-size after setting its width and height; check the layout CSS',
+  },
+};
+
+const SUPPORTED_LANGS = Object.keys(messages);
+
+let currentLang = DEFAULT_LANG;
+
+/**
+ * 设置全局输出语言
+ */
+function setLang(lang) {
+  if (!SUPPORTED_LANGS.includes(lang)) {
+    throw new Error(`Unsupported language: ${lang}`);
+  }
+  currentLang = lang;
+}
+
+/**
+ * 获取当前输出语言
+ */
+function getLang() {
+  return currentLang;
+}
+
+/**
+ * 翻译消息
+ * @param {string} key 消息键
+ * @param {object} params 模板参数
+ * @param {string} lang 语言（可选，默认为当前语言）
+ */
+function t(key, params = {}, lang = currentLang) {
+  const catalog = messages[lang] || messages[DEFAULT_LANG];
+  const template =
+    key in catalog ? catalog[key] : messages[DEFAULT_LANG][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match
+  );
+}
+
+/**
+ * 在文本中查找某条消息（任意语言），返回每处匹配的模板参数
+ * 用于只有错误消息字符串、没有结构化诊断时识别错误类型
+ * @param {string} key 消息键
+ * @param {string} text 待搜索的文本
+ * @returns {Array<object>} 参数对象数组，如 [{ tagName: 'h1', style: '边框' }]
+ */
+function matchMessages(key, text) {
+  const results = [];
+  for (const lang of SUPPORTED_LANGS) {
+    const template = messages[lang][key];
+    if (!template) continue;
+
+    // 模板字面部分转义，{name} 占位符转为命名捕获组
+    const pattern = template
+      .split(/(\{\w+\})/)
+      .map((part) => {
+        const placeholder = part.match(/^\{(\w+)\}$/);
+        if (placeholder) return `(?<${placeholder[1]}>[\\s\\S]*?)`;
+        return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      })
+      .join("");
+    for (const match of text.matchAll(new RegExp(pattern, "g"))) {
+      results.push({ ...match.groups });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  t,
+  matchMessages,
+  setLang,
+  getLang,
+  SUPPORTED_LANGS,
+  messages,
+};